@@ -114,7 +114,7 @@ var extend = function(obj, from) {
 
 var bind = function(f, ctx) {
     if (ctx == null) return f;
-    return function() { f.apply(ctx, arguments); };
+    return function() { return f.apply(ctx, arguments); };
 };
 
 // Used by ary.each() to detect when loops are explicitly aborted
@@ -226,6 +226,9 @@ var toJSON = function(object) {
     if (object.constructor == Number) {
         return isFinite(object) ? object.toString() : "null";
     }
+    if (object instanceof Date) { // an ISO 8601 string, parsed back by the Date constructor
+        return isNaN(object.getTime()) ? "null" : toJSON(object.toISOString());
+    }
     if (typeof object.toJSON == "function") return object.toJSON();
 
     var results = [];
@@ -280,6 +283,132 @@ var checkColumnNames = function(columnNames, superSet) {
     });
 };
 
+/**
+ * Converts values to the type of a typed column, by type name. Each function
+ * returns the converted value, or undefined if the value cannot be
+ * converted. Null and undefined values are never passed.
+ * <p>
+ * Numbers accept numbers and numeric strings. Strings accept strings,
+ * numbers and booleans. Booleans accept booleans, 1 and 0, and the strings
+ * "true" and "false" in any case. Dates accept Date objects, and the
+ * numbers and strings understood by the Date constructor. A number is a
+ * time in milliseconds since 1970, not a year, so criteria on a date column
+ * reject numbers; a range of years is written with dates or strings, like
+ * new DataTable.Range("1800-01-01", "1850-12-31").
+ */
+var COLUMN_TYPES = {
+    "number": function(value) {
+        if (typeof value == "number") return isNaN(value) ? undefined : value;
+        if (typeof value == "string" && /\S/.test(value)) {
+            var number = Number(value);
+            return isNaN(number) ? undefined : number;
+        }
+    },
+    "string": function(value) {
+        if (typeof value == "string") return value;
+        if (typeof value == "number" || typeof value == "boolean") return String(value);
+    },
+    "boolean": function(value) {
+        if (typeof value == "boolean") return value;
+        if (value === 1 || value === 0) return value === 1;
+        if (typeof value == "string" && /^(true|false)$/i.test(value)) return value.toLowerCase() == "true";
+    },
+    "date": function(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? undefined : value;
+        if (typeof value == "number" || typeof value == "string") {
+            var date = new Date(value);
+            return isNaN(date.getTime()) ? undefined : date;
+        }
+    }
+};
+
+/**
+ * Converts a value to the type of a column. Values of untyped columns, null
+ * and undefined are returned unchanged.
+ * @param {DataTable} table
+ * @param {String} columnName
+ * @param value
+ * @return the converted value
+ * @throws Error if the value cannot be converted
+ */
+var coerceValue = function(table, columnName, value) {
+    var types = table._.types;
+    if (value == null || !types || !types.hasOwnProperty(columnName)) return value;
+    var coerced = COLUMN_TYPES[types[columnName]](value);
+    if (coerced === undefined) throw new Error("Expected a " + types[columnName] + " value for " + columnName + ": " + toJSON(value));
+    return coerced;
+};
+
+/**
+ * Converts the values of a row to the types of their columns, in place.
+ * @param {DataTable} table
+ * @param {Object} row
+ * @return {Object} the row
+ * @throws Error if a value cannot be converted
+ */
+var coerceRow = function(table, row) {
+    var types = table._.types;
+    for (var name in types) {
+        if (types.hasOwnProperty(name)) row[name] = coerceValue(table, name, row[name]);
+    }
+    return row;
+};
+
+/**
+ * Converts the value of a criterion to the type of its column. The items of
+ * an Array or Set and the ends of a Range are converted; placeholders,
+ * subqueries and the patterns of "startsWith", "like" and "matches" are
+ * not.
+ * @param {DataTable} table
+ * @param {String} columnName
+ * @param {String} operator
+ * @param value
+ * @return the value, or a converted copy of it
+ * @throws Error if a value cannot be converted
+ */
+var coerceCriterionValue = function(table, columnName, operator, value) {
+    if (!table._.types) return value;
+    function coerce(value) {
+        if (value instanceof DataTable.Param) return value;
+        if (typeof value == "number" && table._.types[columnName] == "date") {
+            // a year would silently match times early in 1970
+            throw new Error("Expected a Date or a string for " + columnName + ": " + value);
+        }
+        return coerceValue(table, columnName, value);
+    }
+    switch (operator) {
+        case "==":
+        case "!=":
+        case "<":
+        case "<=":
+        case ">":
+        case ">=":
+            return coerce(value);
+        case "between":
+        case "not between":
+        case "in":
+        case "not in":
+            if (value instanceof DataTable.Range) return new DataTable.Range(coerce(value.start), coerce(value.end));
+            if (value instanceof DataTable.Set) return new DataTable.Set(extend(value._$array.concat(), ary).collect(coerce));
+            if (value instanceof Array) return extend(value.concat(), ary).collect(coerce);
+            return value;
+        default:
+            return value;
+    }
+};
+
+/**
+ * The estimated cost of testing a value against a regular expression,
+ * relative to a single comparison.
+ */
+var REGEXP_COST = 4;
+
+/**
+ * The estimated cost of calling a predicate function without a cost hint,
+ * relative to a single comparison.
+ */
+var PREDICATE_COST = REGEXP_COST;
+
 /**
  * @param criteria The criteria to assess cost
  * @return The estimated cost the test one row
@@ -287,403 +416,3222 @@ var checkColumnNames = function(columnNames, superSet) {
 var calculateSingleRowCriteriaCost = function(criteria) {
     return criteria.inject(criteria.length, function(cost, c) {
         switch (c.operator) {
-            case "between": return cost + 1; // one extra check
-            case "in": return cost + c.value.length - 1; // one extra for each item
+            case "between":
+            case "not between": return cost + 1; // one extra check
+            case "in":
+            case "not in":
+                if (c.value instanceof DataTable.Subquery) return cost; // one hash lookup
+                return cost + Math.max(0, c.value.length - 1); // one extra for each item
+            case "like":
+            case "matches": return cost + REGEXP_COST - 1; // a pattern match instead of a comparison
+            case "not": return cost + calculateSingleRowCriteriaCost(newArray(c.value)) - 1;
+            case "or": return c.value.inject(cost - 1, function(sum, branch) { return sum + calculateSingleRowCriteriaCost(branch); });
+            case "predicate": return cost + (c.cost == null ? PREDICATE_COST : c.cost) - 1; // the hinted cost instead of a comparison
             default: return cost;
         }
     });
 };
 
 /**
- * Build an index signature for the specified columns
- * @param columnNames
+ * Checks that an operator is one understood by findWhere().
+ * @param {String} operator
  */
-var buildIndexSignature = function(columnNames) {
-    return "[" + columnNames.join(",") + "]";
+var checkOperator = function(operator, value) {
+    if (!/^([=!<>]=|[<>]|(not )?between|(not )?in|startswith|like|matches|isnull|isnotnull)$/.test(operator)) throw new Error("Unknown operator: " + operator);
+    if (value instanceof DataTable.Param) return; // checked when the value is bound
+    if (/^(startswith|like)$/.test(operator) && typeof value != "string") {
+        throw new Error("Expected a string value for " + operator + ": " + value);
+    }
+    if (operator == "matches" && !(value instanceof RegExp)) {
+        throw new Error("Expected a RegExp value for " + operator + ": " + value);
+    }
 };
 
 /**
- * Logs a message. Unified logging function for DataTable.
- * @param message
+ * Checks the hints passed with a predicate function.
+ * @param {Object} hints
  */
-var log = (typeof(console) == "object" && console.log) ? function(message) { console.log(message); } : function() {};
+var checkPredicateHints = function(hints) {
+    if (hints.cost != null && !(typeof hints.cost == "number" && hints.cost >= 0)) {
+        throw new Error("Expected a non-negative number for the predicate cost: " + hints.cost);
+    }
+    if (hints.selectivity != null && !(typeof hints.selectivity == "number" && hints.selectivity >= 0 && hints.selectivity <= 1)) {
+        throw new Error("Expected a number between 0 and 1 for the predicate selectivity: " + hints.selectivity);
+    }
+};
 
 /**
- * @constructor Builds a new DataTable
- * @param {Array} columnNames An array of column names that will exist as
- *     properties of all data row objects in this table.
+ * The operator matching exactly the rows not matched by another operator.
  */
-DataTable = function(columnNames) {
-    checkColumnNames(columnNames);
-    this._ = { indicies: newArray(), rows: newArray(), columnNames: extend(columnNames, ary), paranoia: false,
-               verbose: false, active: function() {}, id: "table-" + new Date().getTime().toString(16) };
-    var proto = extend(["$"].concat(columnNames),ary).inject({}, function(proto, name) {
-        proto[name] = { toJSON: function() { return "object." + name; } };
-        return proto;
+var NEGATED_OPERATORS = {
+    "==": "!=", "!=": "==",
+    "<": ">=", ">=": "<",
+    ">": "<=", "<=": ">",
+    "between": "not between", "not between": "between",
+    "in": "not in", "not in": "in",
+    "isnull": "isnotnull", "isnotnull": "isnull"
+};
+
+/**
+ * Builds a human readable description of a single criterion. Used primarily
+ * in troubleshooting.
+ * @param criterion
+ */
+var criterionToString = function(criterion) {
+    if (criterion.operator == "or") {
+        return "(" + criterion.value.collect(function(branch) {
+            return branch.collect(criterionToString).join(" AND ");
+        }).join(" OR ") + ")";
+    }
+    if (criterion.operator == "not") return "NOT (" + criterionToString(criterion.value) + ")";
+    if (criterion.operator == "predicate") return "predicate " + (criterion.value.name || "<anonymous>") + "(row)";
+    if (/^(isnull|isnotnull)$/.test(criterion.operator)) return criterion.columnName + " " + criterion.operator;
+    var value = criterion.value instanceof RegExp ? String(criterion.value) : toJSON(criterion.value);
+    return [criterion.columnName,criterion.operator,value].join(" ");
+};
+
+/**
+ * Copies a list of criteria, including any nested "or" groups, so the copy
+ * is not affected when the original is further narrowed or widened.
+ * @param {Array} criteria
+ */
+var copyCriteria = function(criteria) {
+    return criteria.collect(function(c) {
+        if (c.operator != "or") return c;
+        return { operator: "or", value: c.value.collect(copyCriteria) };
     });
-    this._.clone = new Function("object", "return " + toJSON(proto) + ";"); // fast clone function for rows
-    var markFunctionSource = columnNames.collect(function(name) {
-        return "if (object.name !== original.name) changed = mark.name = true;".replace(/name/g, name);
-    }).join("\n");
-    markFunctionSource = "var changed = false;\n" + markFunctionSource + "\nreturn changed;";
-    this._.markChangedColumns = new Function("object", "original", "mark", markFunctionSource);
-    tablesIdentities[this._.id] = {};
 };
 
 /**
- * Adds a new index to this table, of locates an existing index on the same
- * columns.
- * @param {Array} columnNames The columns, in order, to index.
- * @retrun The index
+ * Builds the list of criteria described by the arguments passed to
+ * DataTable.Query.and() or DataTable.Query.or().
+ * @param {DataTable} table The table being queried
+ * @param {String|DataTable.Query|Function} columnName
+ * @param {String|Object} operator The operator, or the hints passed with a
+ *     predicate function
+ * @param value
+ * @param {String} valueColumnName The column of a subquery's rows to use as
+ *     the values of an "in" or "not in" criterion (optional)
  */
-DataTable.prototype.index = function(columnNames) {
-    var self = this;
-    if (arguments.length == 0) return self._.indicies.collect(function(i) { return i.columns.pluck("name"); });
-    self._.active();
-    checkColumnNames(columnNames, self._.columnNames);
-    var signature = buildIndexSignature(columnNames);
-    var index = self._.indicies.find(function(ix) { return ix.signature == signature; });
-    if (!index) {
-        index = new DataTable.Index(self, columnNames);
-        index.rowsAdded(self._.rows);
-        self._.indicies.push(index);
+var buildCriteria = function(table, columnName, operator, value, valueColumnName) {
+    if (columnName instanceof DataTable.Query) {
+        if (columnName.table !== table) throw new Error("A query was passed that does not belong to this table.");
+        return copyCriteria(columnName.criteria);
     }
-    return index;
+    if (typeof columnName == "function") {
+        var hints = operator || {};
+        checkPredicateHints(hints);
+        return newArray({operator:"predicate", value:columnName, cost:hints.cost, selectivity:hints.selectivity});
+    }
+    operator = operator.toLowerCase().replace(/\s+/g, " ");
+    checkColumnNames([columnName], table._.columnNames);
+    if (/^(not )?in$/.test(operator) && (value instanceof DataTable || value instanceof DataTable.Query)) {
+        value = new DataTable.Subquery(value, valueColumnName);
+    }
+    checkOperator(operator, value);
+    value = coerceCriterionValue(table, columnName, operator, value);
+    return newArray({columnName:columnName, operator:operator, value:value});
 };
 
 /**
- * Adds rows to this table
- * @param {Array} rows
- * @return {Array} the inserted data row objects.
+ * @param criterion An "in" or "not in" criterion
+ * @return {Array} the values of the criterion, finding them if the criterion
+ *     has a subquery
  */
-DataTable.prototype.insert = function(rows) {
-    var self = this;
-    self._.active();
-    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray(rows);
-    var result = rows.collect(function(row) {
-        if (row.$) return; // row is already in the table
-        row = self._.clone(row);
-        var index = self._.rows.length;
-        row.$ = function() {
-            self._.active();
-            switch (arguments.length) {
-                case 0:
-                    return self._.clone(row); // default: clone(ROW_META_DATA.ORIGINAL)
-                case 1:
-                    if (arguments[0] === ROW_META_DATA.INDEX) return index;
-                    if (arguments[0] === ROW_META_DATA.ORIGINAL) return row;
-                    if (arguments[0] === ROW_META_DATA.TABLE_ID) return tablesIdentities[self._.id];
-                    break;
-                case 2:
-                    if (arguments[0] === ROW_META_DATA.INDEX) { index = arguments[1]; return this; };
-                    if (arguments[0] === ROW_META_DATA.ORIGINAL) {
-                        row = arguments[1];
-                        row.$ = arguments.callee;
-                        return this;
-                    };
-                    return this;
+var criterionValues = function(criterion) {
+    return criterion.value instanceof DataTable.Subquery ? criterion.value.values() : extend(criterion.value, ary);
+};
+
+/**
+ * @param criterion An "in" or "not in" criterion
+ * @return true if the criterion lists a Date value, which must be matched
+ *     by its time rather than by identity
+ */
+var containsDates = function(criterion) {
+    if (criterion.value instanceof DataTable.Subquery || criterion.value instanceof DataTable.Range) return false;
+    return criterionValues(criterion).find(function(value) { return value instanceof Date; }) != null;
+};
+
+/**
+ * @param criterion An "in" or "not in" criterion
+ * @return {Number} the number of values of the criterion, estimated without
+ *     finding them if the criterion has a subquery
+ */
+var countValues = function(criterion) {
+    return criterion.value instanceof DataTable.Subquery ? criterion.value.estimate().expectedRows : criterion.value.length;
+};
+
+/**
+ * Sorts a list of values by a comparator, keeping only the first of the
+ * values it considers equal.
+ * @param {Array} values
+ * @param {Function} comparator
+ * @return {Array} a new sorted list of distinct values
+ */
+var distinctValues = function(values, comparator) {
+    var sorted = newArray();
+    values.each(function(value) { sorted.push(value); });
+    sorted.sort(comparator);
+    var distinct = newArray();
+    for (var i = 0, j = sorted.length; i < j; ++i) {
+        if (i == 0 || comparator(sorted[i], distinct[distinct.length - 1]) != 0) distinct.push(sorted[i]);
+    }
+    return distinct;
+};
+
+/**
+ * Finds a value in a list sorted by a comparator.
+ * @param {Array} values
+ * @param value
+ * @param {Function} comparator
+ * @return {Number} the position of the value, or -1 if it is not found
+ */
+var indexOfValue = function(values, value, comparator) {
+    var i = DataTable.Index.prototype.binarySearch(values, value, comparator);
+    return i == Math.floor(i) && i >= 0 && i < values.length ? i : -1;
+};
+
+/**
+ * Estimates the cost of finding the values of the subqueries in a list of
+ * criteria, which are found once however the criteria are applied.
+ * @param {Array} criteria A branch of criteria, see expandCriteria()
+ */
+var calculateSubqueryCost = function(criteria) {
+    return criteria.inject(0, function(cost, c) {
+        if (c.operator == "not") c = c.value;
+        if (c.operator == "or") return c.value.inject(cost, function(sum, branch) { return sum + calculateSubqueryCost(branch); });
+        return c.value instanceof DataTable.Subquery ? cost + c.value.estimate().cost : cost;
+    });
+};
+
+/**
+ * Replaces the placeholders in a list of criteria with parameter values,
+ * converted to the types of their columns. See DataTable.Statement.
+ * @param {DataTable} table
+ * @param {Array} criteria Criteria that may contain DataTable.Param values
+ * @param {Object|Array} params The parameter values, by name or position
+ * @return {Array} a copy of the criteria, with values in place of the
+ *     placeholders
+ */
+var bindCriteria = function(table, criteria, params) {
+    return criteria.collect(function(c) {
+        switch (c.operator) {
+            case "or": return { operator: "or", value: c.value.collect(function(branch) { return bindCriteria(table, branch, params); }) };
+            case "not": return { columnName: c.columnName, operator: "not", value: bindCriteria(table, newArray(c.value), params)[0] };
+            case "predicate": return c;
+        }
+        var value = bindValue(c.value, params);
+        if (value === c.value) return c;
+        checkOperator(c.operator, value);
+        value = coerceCriterionValue(table, c.columnName, c.operator, value);
+        return { columnName: c.columnName, operator: c.operator, value: value };
+    });
+};
+
+/**
+ * Replaces the placeholders in a criterion value with parameter values.
+ * Placeholders may be the value itself, either end of a Range, or items of
+ * an Array.
+ * @param value
+ * @param {Object|Array} params The parameter values, by name or position
+ * @return the value, or a copy of it with the placeholders replaced
+ */
+var bindValue = function(value, params) {
+    if (value instanceof DataTable.Param) {
+        if (params == null || !(value.name in Object(params))) throw new Error("No value for parameter: " + value.name);
+        return params[value.name];
+    }
+    if (value instanceof DataTable.Range && (value.start instanceof DataTable.Param || value.end instanceof DataTable.Param)) {
+        return new DataTable.Range(bindValue(value.start, params), bindValue(value.end, params));
+    }
+    if (value instanceof Array && extend(value, ary).find(function(v) { return v instanceof DataTable.Param; })) {
+        return value.collect(function(v) { return bindValue(v, params); });
+    }
+    return value;
+};
+
+/**
+ * Checks that a criterion value holds no placeholders. A placeholder is only
+ * given a value by DataTable.Statement.execute(), and is never matched as a
+ * value itself.
+ * @param value
+ */
+var checkBound = function(value) {
+    bindValue(value, null);
+};
+
+/**
+ * The most branches criteria are expanded into. The number of branches is
+ * the product of the sizes of the "or" groups, so criteria expanding into
+ * more are matched by a single branch testing the groups against each row.
+ */
+var MAX_BRANCHES = 256;
+
+/**
+ * Counts the branches a list of criteria would be expanded into by
+ * expandCriteria().
+ * @param {Array} criteria
+ * @return {Number}
+ */
+var countBranches = function(criteria) {
+    return criteria.inject(1, function(count, criterion) {
+        if (criterion.operator != "or") return count;
+        return count * criterion.value.inject(0, function(sum, c) { return sum + countBranches(c); });
+    });
+};
+
+/**
+ * Expands criteria containing "or" groups into a list of branches. Each
+ * branch is a simple list of criteria, all of which a row must meet to be
+ * matched by that branch. A row is matched by the criteria if it is matched
+ * by any branch. Criteria that would expand into more than MAX_BRANCHES
+ * branches are returned as a single branch keeping their "or" groups, which
+ * are never indexed.
+ * @param {Array} criteria
+ * @return {Array} an array of branches
+ */
+var expandCriteria = function(criteria) {
+    if (countBranches(criteria) > MAX_BRANCHES) return newArray(extend(criteria.concat(), ary));
+    return criteria.inject(newArray(newArray()), function(branches, criterion) {
+        if (criterion.operator != "or") {
+            return branches.collect(function(b) { return extend(b.concat(criterion), ary); });
+        }
+        var alternatives = criterion.value.inject(newArray(), function(a, c) {
+            append(a, expandCriteria(c));
+            return a;
+        });
+        return branches.inject(newArray(), function(a, b) {
+            alternatives.each(function(alt) { a.push(extend(b.concat(alt), ary)); });
+            return a;
+        });
+    });
+};
+
+/**
+ * Builds a function that tests a single column value against a criterion.
+ * Values are compared by the comparator of the criterion's column, see
+ * DataTable.comparator().
+ * @param {DataTable} table
+ * @param criterion
+ * @return {Function} a function returning true if the value is matched
+ */
+var buildCriterionTest = function(table, criterion) {
+    checkBound(criterion.value);
+    var comparator = columnComparator(table, criterion.columnName);
+    var custom = comparator !== DataTable.Comparator;
+    switch (criterion.operator) {
+        case "==": return function(value) { return comparator(value, criterion.value) == 0; };
+        case "!=": return function(value) { return comparator(value, criterion.value) != 0; };
+        case "<=": return function(value) { return value != null && comparator(value, criterion.value) <= 0; };
+        case "<" : return function(value) { return value != null && comparator(value, criterion.value) <  0; };
+        case ">=": return function(value) { return value != null && comparator(value, criterion.value) >= 0; };
+        case ">" : return function(value) { return value != null && comparator(value, criterion.value) >  0; };
+        case "in":
+            if ((custom || containsDates(criterion)) && !(criterion.value instanceof DataTable.Range)) {
+                var values = distinctValues(criterionValues(criterion), comparator);
+                return function(value) { return value != null && indexOfValue(values, value, comparator) >= 0; };
+            }
+            if (criterion.value instanceof DataTable.Subquery) {
+                var hash = criterion.value.hash();
+                return function(value) { return value != null && hash.hasOwnProperty(toJSON(value)); };
+            }
+            if (!(criterion.value instanceof DataTable.Range)) {
+                var set = criterion.value instanceof DataTable.Set ? criterion.value : new DataTable.Set(criterion.value);
+                return bind(set.include, set);
+            }
+            // falls through, a Range is matched as "between"
+        case "between":
+            var range = criterion.value;
+            return function(value) { return value != null && comparator(value, range.start) >= 0 && comparator(value, range.end) <= 0; };
+        case "not between":
+        case "not in":
+            var include = buildCriterionTest(table, { columnName: criterion.columnName,
+                                                     operator: NEGATED_OPERATORS[criterion.operator],
+                                                     value: criterion.value });
+            return function(value) { return !include(value); };
+        case "not":
+            var exclude = buildCriterionTest(table, criterion.value);
+            return function(value) { return !exclude(value); };
+        case "isnull": return function(value) { return value == null; };
+        case "isnotnull": return function(value) { return value != null; };
+        case "startswith":
+            var prefix = criterion.value;
+            if (custom) {
+                return function(value) { return typeof value == "string" && comparator(value.slice(0, prefix.length), prefix) == 0; };
+            }
+            return function(value) { return typeof value == "string" && value.lastIndexOf(prefix, 0) == 0; };
+        case "like":
+            var pattern = parseLikePattern(criterion.value).regexp;
+            return function(value) { return typeof value == "string" && pattern.test(value); };
+        case "matches":
+            var regexp = criterion.value;
+            return function(value) {
+                regexp.lastIndex = 0; // global expressions resume from the last match
+                return value != null && regexp.test(String(value));
+            };
+    }
+};
+
+/**
+ * Builds a function that tests a whole row against a single criterion.
+ * Predicate criteria are passed a clone of the row, so the row held by the
+ * table and its index entries cannot be changed by the predicate. Other
+ * criteria are passed the value of their column.
+ * @param {DataTable} table
+ * @param criterion
+ * @return {Function} a function returning true if the row is matched
+ */
+var buildCriterionRowTest = function(table, criterion) {
+    switch (criterion.operator) {
+        case "predicate":
+            var predicate = criterion.value;
+            return function(row) { return !!predicate(table._.clone(row)); };
+        case "not":
+            var exclude = buildCriterionRowTest(table, criterion.value);
+            return function(row) { return !exclude(row); };
+        case "or":
+            var tests = criterion.value.collect(function(branch) { return buildRowTest(table, branch); });
+            return function(row) {
+                for (var i = 0, j = tests.length; i < j; ++i) if (tests[i](row)) return true;
+                return false;
+            };
+        default:
+            var include = buildCriterionTest(table, criterion);
+            return function(row) { return include(row[criterion.columnName]); };
+    }
+};
+
+/**
+ * Parses a SQL style "like" pattern. "%" matches any number of characters,
+ * "_" matches a single character, and "\\" matches the next character
+ * literally.
+ * @param {String} pattern
+ * @return {Object} An object containing the following:
+ *     {String} prefix: the literal text before the first wildcard.
+ *     {Boolean} isPrefixOnly: true if the pattern is the prefix followed by
+ *         a single "%", so that it matches exactly the strings starting with
+ *         the prefix.
+ *     {RegExp} regexp: an expression matching the whole pattern.
+ */
+var parseLikePattern = function(pattern) {
+    var prefix = null, literal = "", source = "", wildcards = 0;
+    for (var i = 0; i < pattern.length; i++) {
+        var c = pattern.charAt(i);
+        if (c == "\\" && i + 1 < pattern.length) {
+            c = pattern.charAt(++i);
+        } else if (c == "%" || c == "_") {
+            if (prefix == null) prefix = literal;
+            source += c == "%" ? "[\\s\\S]*" : "[\\s\\S]";
+            wildcards++;
+            continue;
+        }
+        if (prefix == null) literal += c;
+        source += c.replace(/[\\^$.*+?()[\]{}|\/-]/g, "\\$&");
+    }
+    return {
+        prefix: prefix == null ? literal : prefix,
+        isPrefixOnly: wildcards == 1 && prefix != null && pattern.charAt(pattern.length - 1) == "%" &&
+                      pattern.charAt(pattern.length - 2) != "\\",
+        regexp: new RegExp("^" + source + "$")
+    };
+};
+
+/**
+ * Builds the range of strings starting with a prefix. The range excludes its
+ * end, which is the first string after all strings with the prefix.
+ * @param {String} prefix
+ */
+var prefixRange = function(prefix) {
+    for (var i = prefix.length - 1; i >= 0; i--) {
+        var code = prefix.charCodeAt(i);
+        if (code < 0xffff) {
+            return { start: prefix, end: prefix.slice(0, i) + String.fromCharCode(code + 1), exclusive: true };
+        }
+    }
+    return { start: prefix, end: null, exclusive: true }; // null is sorted after all strings
+};
+
+/**
+ * Gets the range of index values matched by a range criterion.
+ * @param criterion A "between", "not between", "startsWith" or "like"
+ *     criterion
+ * @return {Object} an object having start, end and exclusive properties, and
+ *     an exclusiveStart property if the range excludes its start
+ */
+var criterionRange = function(criterion) {
+    switch (criterion.operator) {
+        case "startswith": return prefixRange(criterion.value);
+        case "like": return prefixRange(parseLikePattern(criterion.value).prefix);
+        default: return criterion.value;
+    }
+};
+
+/**
+ * The operators testing the same values when both sides of each comparison
+ * are swapped.
+ */
+var MIRRORED_OPERATORS = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+
+/**
+ * Translates a criterion on a descending index column into the equivalent
+ * criterion in the order the column's entries are stored in, where every
+ * comparison is reversed: "<" becomes ">", and a range runs from its end to
+ * its start.
+ * @param criterion
+ * @return the criterion, or a criterion matching the same index entries
+ */
+var mirrorCriterion = function(criterion) {
+    switch (criterion.operator) {
+        case "<":
+        case "<=":
+        case ">":
+        case ">=":
+            return { columnName: criterion.columnName, operator: MIRRORED_OPERATORS[criterion.operator], value: criterion.value };
+        case "between":
+        case "not between":
+        case "startswith":
+        case "like":
+            var range = criterionRange(criterion);
+            return { columnName: criterion.columnName,
+                     operator: criterion.operator == "not between" ? "not between" : "between",
+                     value: { start: range.end, end: range.start, exclusiveStart: range.exclusive } };
+        default:
+            return criterion;
+    }
+};
+
+/**
+ * @param criterion
+ * @return true if an index may be used to apply the criterion
+ */
+var isIndexable = function(criterion) {
+    switch (criterion.operator) {
+        case "not":
+        case "or":
+        case "matches":
+        case "predicate": return false;
+        case "like": return parseLikePattern(criterion.value).prefix.length > 0;
+        default: return true;
+    }
+};
+
+/**
+ * @param criterion
+ * @return true if rows reduced by an index using the criterion must still be
+ *     tested against it
+ */
+var needsFilter = function(criterion) {
+    return criterion.operator == "like" && !parseLikePattern(criterion.value).isPrefixOnly;
+};
+
+/**
+ * Builds a list of criteria matching exactly the rows not matched by the
+ * passed criteria. "or" groups are negated by De Morgan's laws, so negated
+ * criteria may still be used by an index. Criteria without an opposite
+ * operator are wrapped in a "not" criterion, which is never indexed.
+ * @param {Array} criteria
+ * @return {Array}
+ */
+var negateCriteria = function(criteria) {
+    var negated = criteria.collect(function(c) {
+        if (c.operator == "or") {
+            return c.value.inject(newArray(), function(a, branch) {
+                append(a, negateCriteria(branch));
+                return a;
+            });
+        }
+        if (c.operator == "not") return newArray(c.value);
+        if (!NEGATED_OPERATORS[c.operator]) return newArray({columnName:c.columnName, operator:"not", value:c});
+        var opposite = {columnName:c.columnName, operator:NEGATED_OPERATORS[c.operator], value:c.value};
+        if (!/^[<>]=?$/.test(c.operator)) return newArray(opposite);
+        // a missing value meets neither a comparison nor its opposite
+        return newArray({ operator: "or", value: newArray(newArray(opposite), newArray({columnName:c.columnName, operator:"isnull"})) });
+    });
+    return negated.length == 1 ? negated[0] : newArray({ operator: "or", value: negated });
+};
+
+/**
+ * The findWhere() operators for each operator of a query object.
+ */
+var QUERY_OPERATORS = {
+    "$eq": "==", "$ne": "!=",
+    "$lt": "<", "$lte": "<=",
+    "$gt": ">", "$gte": ">=",
+    "$in": "in", "$nin": "not in",
+    "$between": "between",
+    "$startsWith": "startswith", "$like": "like", "$regex": "matches"
+};
+
+/**
+ * @param value A value from a query object
+ * @return true if the value is an object of query operators, such as
+ *     {$gt: 5}, rather than a value to compare with
+ */
+var isOperatorObject = function(value) {
+    if (value == null || typeof value != "object" || value instanceof Array ||
+        value instanceof RegExp || value instanceof Date) return false;
+    var operators = 0, values = 0;
+    for (var k in value) if (value.hasOwnProperty(k)) k.charAt(0) == "$" ? ++operators : ++values;
+    if (operators && values) throw new Error("Query operators may not be mixed with values: " + toJSON(value));
+    return operators > 0;
+};
+
+/**
+ * Compiles a query object to the list of criteria it describes. See
+ * DataTable.query().
+ * @param {DataTable} table The table being queried
+ * @param {Object} spec The query object
+ * @return {Array}
+ */
+var compileQuery = function(table, spec) {
+    if (spec == null || typeof spec != "object" || spec instanceof Array) {
+        throw new Error("Expected a query object: " + toJSON(spec));
+    }
+    var criteria = newArray();
+    for (var key in spec) {
+        if (!spec.hasOwnProperty(key)) continue;
+        var value = spec[key];
+        switch (key) {
+            case "$and":
+                if (!(value instanceof Array)) throw new Error("Expected an array for $and: " + toJSON(value));
+                extend(value, ary).each(function(s) { append(criteria, compileQuery(table, s)); });
+                break;
+            case "$or":
+                if (!(value instanceof Array)) throw new Error("Expected an array for $or: " + toJSON(value));
+                criteria.push({ operator: "or", value: extend(value, ary).collect(function(s) { return compileQuery(table, s); }) });
+                break;
+            case "$not":
+                append(criteria, negateCriteria(compileQuery(table, value)));
+                break;
+            default:
+                if (key.charAt(0) == "$") throw new Error("Unknown query operator: " + key);
+                append(criteria, compileColumnQuery(table, key, value));
+        }
+    }
+    return criteria;
+};
+
+/**
+ * Builds an error describing a problem at a position in a filter expression.
+ * @param {String} message
+ * @param {Object} token The token at which the problem was found
+ */
+var parseError = function(message, token) {
+    var error = new Error(message + " at position " + token.position);
+    error.position = token.position;
+    error.length = token.text.length;
+    return error;
+};
+
+/**
+ * Splits a filter expression into tokens. Each token has a type of "number",
+ * "string", "word", "symbol", "param" or "end", the text it was read from, its
+ * position in the expression, and for numbers and strings, its value.
+ * @param {String} expression
+ * @return {Array}
+ */
+var tokenizeWhere = function(expression) {
+    var tokens = newArray();
+    var pattern = /\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|('(?:[^']|'')*')|([a-zA-Z_][a-zA-Z0-9_$]*)|(==|!=|<>|<=|>=|[=<>(),])|(\?|:[a-zA-Z_][a-zA-Z0-9_$]*)|(\S))/g;
+    var match;
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        var text = match[0].replace(/^\s+/, "");
+        var token = { text: text, position: match.index + match[0].length - text.length };
+        if (match[1]) {
+            token.type = "number";
+            token.value = Number(text);
+        } else if (match[2]) {
+            token.type = "string";
+            token.value = text.slice(1, -1).replace(/''/g, "'");
+        } else if (match[3]) {
+            token.type = "word";
+        } else if (match[4]) {
+            token.type = "symbol";
+        } else if (match[5]) {
+            token.type = "param";
+        } else if (match[6]) {
+            if (text != "'") throw parseError("Unexpected character " + toJSON(text), token);
+            token.text = expression.slice(token.position);
+            throw parseError("Unterminated string", token);
+        } else {
+            break; // trailing white space
+        }
+        tokens.push(token);
+    }
+    tokens.push({ type: "end", text: "", position: expression.length });
+    return tokens;
+};
+
+/**
+ * Parses a filter expression to the list of criteria it describes. See
+ * DataTable.where().
+ * @param {DataTable} table The table being queried
+ * @param {String} expression
+ * @return {Array}
+ */
+var parseWhere = function(table, expression) {
+    if (typeof expression != "string") throw new Error("Expected a filter expression: " + expression);
+    var tokens = tokenizeWhere(expression);
+    var next = 0;
+    var positionalParams = 0;
+    function peek() { return tokens[next]; }
+    function isKeyword(token, keyword) { return token.type == "word" && token.text.toUpperCase() == keyword; }
+    function accept(keyword) {
+        var token = peek();
+        if (token.type == "end" || !(isKeyword(token, keyword) || (token.type == "symbol" && token.text == keyword))) return null;
+        ++next;
+        return token;
+    }
+    function expect(keyword) {
+        var token = accept(keyword);
+        if (!token) throw parseError("Expected " + (/^\w/.test(keyword) ? keyword : toJSON(keyword)) + " but found " + describe(peek()), peek());
+        return token;
+    }
+    function describe(token) { return token.type == "end" ? "the end of the expression" : toJSON(token.text); }
+    function parseOr() {
+        var branches = newArray(parseAnd());
+        while (accept("OR")) branches.push(parseAnd());
+        return branches.length == 1 ? branches[0] : newArray({ operator: "or", value: branches });
+    }
+    function parseAnd() {
+        var criteria = parseNot();
+        while (accept("AND")) append(criteria, parseNot());
+        return criteria;
+    }
+    function parseNot() {
+        if (accept("NOT")) return negateCriteria(parseNot());
+        if (accept("(")) {
+            var criteria = parseOr();
+            expect(")");
+            return criteria;
+        }
+        return parseComparison();
+    }
+    function parseValue() {
+        var token = tokens[next++];
+        if (token.type == "number" || token.type == "string") return token.value;
+        if (token.type == "param") return new DataTable.Param(token.text == "?" ? positionalParams++ : token.text.slice(1));
+        if (isKeyword(token, "TRUE")) return true;
+        if (isKeyword(token, "FALSE")) return false;
+        if (isKeyword(token, "NULL")) return null;
+        throw parseError("Expected a value but found " + describe(token), token);
+    }
+    function parseComparison() {
+        var column = tokens[next++];
+        if (column.type != "word" || /^(AND|OR|NOT|BETWEEN|IN|LIKE|IS|NULL|TRUE|FALSE)$/i.test(column.text)) {
+            throw parseError("Expected a column name but found " + describe(column), column);
+        }
+        if (!table._.columnNames.include(column.text)) throw parseError("Column name not found: " + column.text, column);
+        var columnName = column.text;
+        var criteria;
+        if (accept("IS")) {
+            var isNot = accept("NOT");
+            expect("NULL");
+            return buildCriteria(table, columnName, isNot ? "isnotnull" : "isnull");
+        }
+        var negated = accept("NOT");
+        var operator = peek();
+        if (accept("BETWEEN")) {
+            var start = parseValue();
+            expect("AND");
+            criteria = buildCriteria(table, columnName, "between", new DataTable.Range(start, parseValue()));
+        } else if (accept("IN")) {
+            expect("(");
+            var values = newArray(parseValue());
+            while (accept(",")) values.push(parseValue());
+            expect(")");
+            criteria = buildCriteria(table, columnName, "in", values);
+        } else if (accept("LIKE")) {
+            var pattern = peek();
+            if (pattern.type != "string" && pattern.type != "param") {
+                throw parseError("Expected a string but found " + describe(pattern), pattern);
+            }
+            criteria = buildCriteria(table, columnName, "like", parseValue());
+        } else if (!negated && operator.type == "symbol" && /^(==|!=|<>|<=|>=|[=<>])$/.test(operator.text)) {
+            ++next;
+            criteria = buildCriteria(table, columnName, operator.text == "=" ? "==" : operator.text == "<>" ? "!=" : operator.text,
+                                     parseValue());
+        } else {
+            throw parseError("Expected " + (negated ? "BETWEEN, IN or LIKE" : "an operator") + " but found " + describe(operator), operator);
+        }
+        return negated ? negateCriteria(criteria) : criteria;
+    }
+    var criteria = parseOr();
+    if (peek().type != "end") throw parseError("Unexpected " + describe(peek()), peek());
+    return criteria;
+};
+
+/**
+ * Compiles the part of a query object describing a single column.
+ * @param {DataTable} table The table being queried
+ * @param {String} columnName
+ * @param value A value the column must equal, or an object of query
+ *     operators
+ * @return {Array}
+ */
+var compileColumnQuery = function(table, columnName, value) {
+    if (!isOperatorObject(value)) return buildCriteria(table, columnName, "==", value);
+    var criteria = newArray();
+    for (var key in value) {
+        if (!value.hasOwnProperty(key)) continue;
+        var operand = value[key];
+        switch (key) {
+            case "$not":
+                append(criteria, negateCriteria(compileColumnQuery(table, columnName, operand)));
+                break;
+            case "$exists":
+                append(criteria, buildCriteria(table, columnName, operand ? "isnotnull" : "isnull"));
+                break;
+            case "$between":
+                if (!(operand instanceof Array) || operand.length != 2) {
+                    throw new Error("Expected an array of two values for $between: " + toJSON(operand));
+                }
+                append(criteria, buildCriteria(table, columnName, "between", new DataTable.Range(operand[0], operand[1])));
+                break;
+            case "$in":
+            case "$nin":
+                if (!(operand instanceof Array)) throw new Error("Expected an array for " + key + ": " + toJSON(operand));
+                append(criteria, buildCriteria(table, columnName, QUERY_OPERATORS[key], operand));
+                break;
+            case "$regex":
+                append(criteria, buildCriteria(table, columnName, "matches",
+                                               operand instanceof RegExp ? operand : new RegExp(operand)));
+                break;
+            default:
+                if (!QUERY_OPERATORS[key]) throw new Error("Unknown query operator: " + key);
+                append(criteria, buildCriteria(table, columnName, QUERY_OPERATORS[key], operand));
+        }
+    }
+    return criteria;
+};
+
+/**
+ * Orders criteria by their estimated cost to test one row, cheapest first.
+ * Criteria of equal cost keep their original order.
+ * @param {Array} criteria
+ * @return {Array} a sorted copy of the criteria
+ */
+var orderByCost = function(criteria) {
+    var ranked = newArray();
+    criteria.each(function(c, i) {
+        ranked.push({ criterion: c, cost: calculateSingleRowCriteriaCost(newArray(c)), position: i });
+    });
+    return ranked.sort(function(l, r) { return l.cost - r.cost || l.position - r.position; }).pluck("criterion");
+};
+
+/**
+ * Applies criteria to a set of rows, typically the criteria left unused
+ * after an index has reduced the set. The cheapest criteria are applied
+ * first, so expensive criteria are tested against as few rows as possible.
+ * @param {DataTable} table
+ * @param {Array} rows
+ * @param {Array} criteria
+ * @param {Array} steps A list to record each criterion applied to, see
+ *     recordStep() (optional)
+ * @param {Number} expectedRows The estimated number of rows passed, for
+ *     recording steps (optional)
+ * @return {Array} the rows meeting all criteria
+ */
+var applyCriteria = function(table, rows, criteria, steps, expectedRows) {
+    orderByCost(criteria).each(function(criterion) {
+        expectedRows = Math.ceil(expectedRows * estimateSelectivity(newArray(criterion)));
+        rows = recordStep(steps, "filter", criterionToString(criterion), expectedRows, function() {
+            return rows.findAll(buildCriterionRowTest(table, criterion));
+        });
+    });
+    return rows;
+};
+
+/**
+ * Estimates the fraction of rows meeting a list of criteria. Predicate
+ * functions use the selectivity hint passed with them, if any, and other
+ * criteria the guesses DataTable.Index.computeCost() makes for a column
+ * without an index entry to measure: two thirds of the rows for a
+ * comparison and one third for a range or a match.
+ * @param {Array} criteria
+ * @return {Number} a number between 0 and 1
+ */
+var estimateSelectivity = function(criteria) {
+    return criteria.inject(1, function(selectivity, c) {
+        switch (c.operator) {
+            case "predicate": return c.selectivity == null ? selectivity : selectivity * c.selectivity;
+            case "<=":
+            case ">=":
+            case "<":
+            case ">":
+            case "!=":
+            case "not between":
+            case "not in":
+            case "isnotnull": return selectivity * 0.667;
+            case "not": return selectivity * (1 - estimateSelectivity(newArray(c.value)));
+            case "or":
+                return selectivity * Math.min(1, c.value.inject(0, function(sum, branch) { return sum + estimateSelectivity(branch); }));
+            default: return selectivity * 0.333;
+        }
+    });
+};
+
+/**
+ * Selects the cheapest way to match a single branch of criteria in a
+ * table; either a table scan or one of the table's indexes. When an order is
+ * requested, plans that would need to sort their rows include the cost of
+ * sorting.
+ * @param {DataTable} table
+ * @param {Array} criteria A branch of criteria, see expandCriteria()
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @return {Object} the result of DataTable.Index.computeCost() for the
+ *     chosen index, or an equivalent object for a table scan. The ordered
+ *     property is set to 1 if the reduced rows are in the requested order,
+ *     -1 if they are in reverse order, or 0 if they must be sorted.
+ */
+var chooseIndex = function(table, criteria, order) {
+    var verbose = table._.verbose;
+    var plans = listPlans(table, criteria, order);
+    if (verbose) {
+        log("Analysis of (" + criteria.collect(criterionToString).join(" AND ") + "):");
+        plans.each(function(plan) { log("\t" + plan.indexSignature + ": cost=" + plan.cost); });
+    }
+    var bestCase = cheapestPlan(plans);
+    if (verbose) log("Using " + bestCase.indexSignature);
+    return bestCase;
+};
+
+/**
+ * @param {Array} plans A list of plans from listPlans()
+ * @return {Object} the plan of least cost, or the first of several
+ */
+var cheapestPlan = function(plans) {
+    return plans.inject(plans[0], function(bestCase, thisCase) {
+        return (bestCase.cost > thisCase.cost) ? thisCase : bestCase;
+    });
+};
+
+/**
+ * Lists the ways to match a single branch of criteria in a table; a table
+ * scan followed by each of the table's indexes. See chooseIndex().
+ * @param {DataTable} table
+ * @param {Array} criteria A branch of criteria, see expandCriteria()
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @return {Array} a list of results from DataTable.Index.computeCost(),
+ *     or equivalent objects for a table scan
+ */
+var listPlans = function(table, criteria, order) {
+    return table._.indicies.inject(newArray(buildPlan(table, null, criteria, order)), function(plans, index) {
+        plans.push(buildPlan(table, index, criteria, order));
+        return plans;
+    });
+};
+
+/**
+ * Builds the plan to match a single branch of criteria using an index or a
+ * table scan. See chooseIndex().
+ * @param {DataTable} table
+ * @param {DataTable.Index} index The index to use, or null for a table scan
+ * @param {Array} criteria A branch of criteria, see expandCriteria()
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @return {Object} the result of DataTable.Index.computeCost(), or an
+ *     equivalent object for a table scan
+ */
+var buildPlan = function(table, index, criteria, order) {
+    var plan = index ? index.computeCost(criteria) : {
+        cost: table._.rows.length * calculateSingleRowCriteriaCost(criteria),
+        expectedRows: table._.rows.length,
+        criteriaUsed: newArray(),
+        criteriaUnused: criteria,
+        reduce: function(offset, limit) {
+            if (!offset && limit == null) return table._.rows;
+            offset = offset || 0;
+            return extend(table._.rows.slice(offset, limit == null ? void(0) : offset + limit), ary);
+        },
+        count: function() { return table._.rows.length; },
+        scan: function(visitor, reverse) {
+            try {
+                for (var i = 0, j = table._.rows.length; i < j; i++) visitor(table._.rows[reverse ? j - i - 1 : i]);
+            } catch (e) {
+                if (e != _$break) throw e;
+            }
+        },
+        index: null,
+        indexSignature: "<table scan>",
+        ordered: 0
+    };
+    plan.cost += calculateSubqueryCost(criteria);
+    if (order && order.length) {
+        if (index) plan.ordered = index.getOrdering(order, plan.criteriaUsed);
+        if (!plan.ordered) {
+            var sortedRows = Math.ceil(plan.expectedRows * estimateSelectivity(plan.criteriaUnused));
+            plan.cost += sortedRows * simpleLog2Cost(sortedRows);
+        }
+    }
+    return plan;
+};
+
+/**
+ * @param {Object} bestCase A plan from chooseIndex()
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @param {Object} page The offset and limit of the rows to return
+ *     (optional)
+ * @return true if the page may be read directly from the plan's reduced
+ *     rows, without reading the rows before it
+ */
+var isPagedByPlan = function(bestCase, order, page) {
+    return isPaged(page) && bestCase.criteriaUnused.length == 0 &&
+           (!order || order.length == 0 || bestCase.ordered > 0);
+};
+
+/**
+ * Describes a plan from listPlans() for DataTable.Query.explain().
+ * @param {Object} plan
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @param {Object} page The offset and limit of the rows to return
+ *     (optional)
+ */
+var describePlan = function(plan, order, page) {
+    return {
+        index: plan.indexSignature,
+        cost: plan.cost,
+        expectedRows: plan.expectedRows,
+        criteriaUsed: plan.criteriaUsed.collect(criterionToString).concat(), // plain arrays serialize with JSON.stringify()
+        criteriaUnused: orderByCost(plan.criteriaUnused).collect(criterionToString).concat(),
+        ordered: plan.ordered || 0,
+        sorted: Boolean(order && order.length && !plan.ordered),
+        paged: isPagedByPlan(plan, order, page)
+    };
+};
+
+/**
+ * Reads the rows matched by a plan from chooseIndex(). The returned rows are
+ * the originals held by the table, not clones.
+ * @param {DataTable} table
+ * @param {Object} bestCase The plan to read
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @param {Object} page The offset and limit of the rows to return
+ *     (optional)
+ * @param {Array} steps A list to record each step of reading the rows, see
+ *     recordStep() (optional)
+ */
+var readRows = function(table, bestCase, order, page, steps) {
+    var pagedByIndex = isPagedByPlan(bestCase, order, page);
+    var expectedRows = bestCase.expectedRows;
+    if (pagedByIndex && table._.verbose) {
+        log("Reading " + describePage(page) + " of " + bestCase.indexSignature);
+    }
+    if (pagedByIndex) {
+        expectedRows = Math.max(0, expectedRows - page.offset);
+        if (page.limit != null) expectedRows = Math.min(expectedRows, page.limit);
+    }
+    var matchedRows = recordStep(steps, "reduce", bestCase.indexSignature, expectedRows, function() {
+        return pagedByIndex ? bestCase.reduce(page.offset, page.limit) : bestCase.reduce();
+    });
+    if (bestCase.criteriaUnused.length) {
+        if (table._.verbose) {
+            log("Applying remaining criteria on " + matchedRows.length + " row(s): (" +
+                orderByCost(bestCase.criteriaUnused).collect(function(c) {
+                    return criterionToString(c) + " [cost=" + calculateSingleRowCriteriaCost(newArray(c)) + "]";
+                }).join(" AND ") + ")\n  " +
+                matchedRows.collect(function(r) {
+                return toJSON(r);
+            }).join("\n  "));
+        }
+        matchedRows = applyCriteria(table, matchedRows, bestCase.criteriaUnused, steps, expectedRows);
+    }
+    if (order && order.length) {
+        if (bestCase.ordered < 0) {
+            if (table._.verbose) log("Reversing " + matchedRows.length + " row(s) from " + bestCase.indexSignature);
+            matchedRows = recordStep(steps, "reverse", bestCase.indexSignature, null, function() {
+                return extend(matchedRows.concat().reverse(), ary);
+            });
+        } else if (!bestCase.ordered) {
+            matchedRows = recordStep(steps, "sort", describeOrder(order), null, function() {
+                return sortRows(table, matchedRows, order);
+            });
+        }
+    }
+    if (isPaged(page) && !pagedByIndex) {
+        matchedRows = recordStep(steps, "page", describePage(page), null, function() {
+            return pageRows(matchedRows, page);
+        });
+    }
+    return matchedRows;
+};
+
+/**
+ * Finds the rows in a table matching criteria that may contain "or" groups.
+ * Rows matched by more than one branch are only returned once. The returned
+ * rows are the originals held by the table, not clones.
+ * @param {DataTable} table
+ * @param {Array} criteria
+ * @param {Array} order A list of keys from buildOrderKey() (optional)
+ * @param {Object} page The offset and limit of the rows to return
+ *     (optional)
+ * @param {Object} analysis An object to record the steps of matching the
+ *     rows in; a list of steps for each branch is pushed to its branches
+ *     property, and the steps of merging the branches are pushed to its
+ *     steps property. See recordStep(). (optional)
+ * @param {Function} choosePlan A function choosing the plan to match a
+ *     branch, passed the branch, its position and the order; chooseIndex()
+ *     by default (optional)
+ */
+var matchRows = function(table, criteria, order, page, analysis, choosePlan) {
+    var branches = expandCriteria(criteria);
+    choosePlan = choosePlan || function(branch, i, order) { return chooseIndex(table, branch, order); };
+    function branchSteps() {
+        if (!analysis) return null;
+        var steps = newArray();
+        analysis.branches.push(steps);
+        return steps;
+    }
+    if (branches.length == 1) return readRows(table, choosePlan(branches[0], 0, order), order, page, branchSteps());
+    if (table._.verbose) {
+        log("Matching " + branches.length + " branches of (" + criteria.collect(criterionToString).join(" AND ") + "):");
+    }
+    var matched = {};
+    var merged = 0;
+    var matchedRows = branches.inject(newArray(), function(rows, branch) {
+        var branchRows = readRows(table, choosePlan(branch, merged, null), null, null, branchSteps());
+        recordStep(analysis && analysis.steps, "merge", "branch " + (++merged), null, function() {
+            branchRows.each(function(r) {
+                var i = r.$(ROW_META_DATA.INDEX);
+                if (!matched[i]) {
+                    matched[i] = true;
+                    rows.push(r);
+                }
+            });
+            return rows;
+        });
+        return rows;
+    });
+    if (order && order.length) {
+        matchedRows = recordStep(analysis && analysis.steps, "sort", describeOrder(order), null, function() {
+            return sortRows(table, matchedRows, order);
+        });
+    }
+    if (isPaged(page)) {
+        matchedRows = recordStep(analysis && analysis.steps, "page", describePage(page), null, function() {
+            return pageRows(matchedRows, page);
+        });
+    }
+    return matchedRows;
+};
+
+/**
+ * Performs a step of matching rows, recording the number of rows it
+ * returned and the time it took. Used by DataTable.Query.explainAnalyze().
+ * @param {Array} steps The list to record the step in, or null to perform
+ *     the step without recording it
+ * @param {String} operation "reduce", "filter", "reverse", "sort", "page"
+ *     or "merge"
+ * @param {String} description What the step applied; an index, criterion,
+ *     order or page
+ * @param {Number} expectedRows The estimated number of rows returned by the
+ *     step, or null if the step is not estimated
+ * @param {Function} f The step, returning a list of rows
+ * @return {Array} the rows returned by the step
+ */
+var recordStep = function(steps, operation, description, expectedRows, f) {
+    if (!steps) return f();
+    var start = now();
+    var rows = f();
+    steps.push({
+        operation: operation,
+        description: description,
+        expectedRows: expectedRows,
+        actualRows: rows.length,
+        time: now() - start
+    });
+    return rows;
+};
+
+/**
+ * @param {Array} order A list of keys from buildOrderKey()
+ * @return {String} the columns, each followed by "asc" or "desc"
+ */
+var describeOrder = function(order) {
+    return order.collect(function(key) { return key.columnName + (key.descending ? " desc" : " asc"); }).join(", ");
+};
+
+/**
+ * @param {Object} page An offset and limit
+ * @return {String}
+ */
+var describePage = function(page) {
+    return (page.limit == null ? "all" : page.limit) + " row(s) from offset " + page.offset;
+};
+
+/**
+ * Builds a function that tests a whole row against a list of criteria.
+ * @param {DataTable} table
+ * @param {Array} criteria A branch of criteria, see expandCriteria()
+ * @return {Function} a function returning true if the row meets all criteria
+ */
+var buildRowTest = function(table, criteria) {
+    var tests = orderByCost(criteria).collect(function(criterion) { return buildCriterionRowTest(table, criterion); });
+    return function(row) {
+        for (var i = 0, j = tests.length; i < j; ++i) if (!tests[i](row)) return false;
+        return true;
+    };
+};
+
+/**
+ * Collects the values of a column from the rows matched by a query. Null and
+ * undefined values are skipped. Rows are not cloned.
+ * @param {DataTable.Query} query
+ * @param {String} columnName
+ */
+var collectValues = function(query, columnName) {
+    var table = query.table;
+    table._.active();
+    checkColumnNames([columnName], table._.columnNames);
+    var order = isPaged(query.page) ? query.order : null; // order only matters when paging
+    return pluckValues(matchRows(table, query.criteria, order, query.page), columnName);
+};
+
+/**
+ * Finds the least or greatest value of a column in the rows matched by a
+ * query. When an index is ordered by the column, only the rows at one end of
+ * the index are visited.
+ * @param {DataTable.Query} query
+ * @param {String} columnName
+ * @param {Boolean} greatest true to find the greatest value
+ */
+var findExtreme = function(query, columnName, greatest) {
+    var table = query.table;
+    table._.active();
+    checkColumnNames([columnName], table._.columnNames);
+    var branches = expandCriteria(query.criteria);
+    if (branches.length == 1 && !isPaged(query.page)) {
+        var bestCase = chooseIndex(table, branches[0], newArray({ columnName: columnName, descending: false }));
+        if (bestCase.ordered > 0) {
+            if (table._.verbose) log("Reading the " + (greatest ? "last" : "first") + " " + columnName + " from " + bestCase.indexSignature);
+            var include = buildRowTest(table, bestCase.criteriaUnused);
+            var result = null;
+            bestCase.scan(function(row) { // null values are sorted last
+                if (row[columnName] != null && include(row)) {
+                    result = row[columnName];
+                    throw _$break;
+                }
+            }, greatest);
+            return cloneValue(result);
+        }
+    }
+    return cloneValue(extremeValue(collectValues(query, columnName), greatest, columnComparator(table, columnName)));
+};
+
+/**
+ * Collects the values of a column from a list of rows. Null and undefined
+ * values are skipped.
+ * @param {Array} rows
+ * @param {String} columnName
+ */
+var pluckValues = function(rows, columnName) {
+    return rows.inject(newArray(), function(values, row) {
+        if (row[columnName] != null) values.push(row[columnName]);
+        return values;
+    });
+};
+
+/**
+ * @param {Array} values
+ * @return {Number} the sum of the values, or 0 if there are none
+ */
+var sumValues = function(values) {
+    return values.inject(0, function(sum, value) { return sum + value; });
+};
+
+/**
+ * @param {Array} values
+ * @return {Number} the average of the values, or null if there are none
+ */
+var averageValues = function(values) {
+    return values.length ? sumValues(values) / values.length : null;
+};
+
+/**
+ * @param {Array} values
+ * @param {Boolean} greatest true to find the greatest value
+ * @param {Function} comparator The comparator of the values' column
+ * @return the least or greatest value, or null if there are none
+ */
+var extremeValue = function(values, greatest, comparator) {
+    return values.inject(null, function(result, value) {
+        if (result == null) return value;
+        return comparator(value, result) * (greatest ? 1 : -1) > 0 ? value : result;
+    });
+};
+
+/**
+ * Collects the rows under an index entry.
+ * @param {Object} entry
+ * @param {Number} depth The number of index levels below the entry's data,
+ *     0 if the entry's data are rows.
+ */
+var entryRows = function(entry, depth) {
+    var rows = newArray();
+    (function visit(entry, depth) {
+        if (depth == 0) append(rows, entry.data);
+        else for (var i = 0, j = entry.data.length; i < j; i++) visit(entry.data[i], depth - 1);
+    })(entry, depth);
+    return rows;
+};
+
+/**
+ * Groups the rows matched by a query by the values of one or more columns.
+ * When the chosen index begins with the grouped columns, its entries for the
+ * last grouped column are used as the groups. Otherwise rows are grouped by
+ * hashing their values, or by sorting them when a grouped column has a
+ * comparator, see DataTable.comparator().
+ * @param {DataTable.Query} query
+ * @param {Array} columnNames The columns to group by
+ * @return {Array} groups ordered by key, each having a key object, a size,
+ *     and a rows() function returning the original rows in the group.
+ */
+var findGroups = function(query, columnNames) {
+    var table = query.table;
+    var order = columnNames.collect(function(name) { return { columnName: name, descending: false }; });
+    var branches = expandCriteria(query.criteria);
+    var groups = null, bestCase = null;
+    function keyOf(row) {
+        return columnNames.inject({}, function(key, name) {
+            key[name] = row[name] == null ? null : cloneValue(row[name]); // undefined is grouped as null
+            return key;
+        });
+    }
+    if (branches.length == 1) {
+        bestCase = chooseIndex(table, branches[0], order);
+        var index = bestCase.index;
+        var depth = columnNames.length;
+        if (index && bestCase.criteriaUsed.length <= depth &&
+                buildIndexSignature(index.columns.pluck("name").slice(0, depth)) == buildIndexSignature(columnNames) &&
+                !extend(index.columns.slice(0, depth), ary).find(function(column) { return column.descending; })) {
+            if (table._.verbose) log("Grouping by the entries of " + index.signature);
+            var remainingDepth = index.columns.length - depth;
+            var include = bestCase.criteriaUnused.length ? buildRowTest(table, bestCase.criteriaUnused) : null;
+            groups = bestCase.entries(depth).inject(newArray(), function(groups, entry) {
+                if (include) {
+                    var rows = entryRows(entry, remainingDepth).findAll(include);
+                    if (rows.length) groups.push({ key: keyOf(rows[0]), size: rows.length, rows: function() { return rows; } });
+                } else {
+                    for (var first = entry, i = 0; i < remainingDepth; i++) first = first.data[0];
+                    groups.push({ key: keyOf(first.data[0]), size: entry.size,
+                                  rows: function() { return entryRows(entry, remainingDepth); } });
+                }
+                return groups;
+            });
+        }
+    }
+    if (!groups && columnNames.find(function(name) { return columnComparator(table, name) !== DataTable.Comparator; })) {
+        if (table._.verbose) log("Grouping by sorting " + buildIndexSignature(columnNames));
+        var compare = buildOrderComparator(table, order);
+        var rows = bestCase ? readRows(table, bestCase, order) : matchRows(table, query.criteria, order);
+        groups = rows.inject(newArray(), function(groups, row) {
+            var group = groups.last();
+            if (!group || compare(group.key, row) != 0) {
+                var rows = newArray();
+                group = { key: keyOf(row), size: 0, rows: function() { return rows; } };
+                groups.push(group);
+            }
+            group.rows().push(row);
+            group.size++;
+            return groups;
+        });
+    }
+    if (!groups) {
+        if (table._.verbose) log("Grouping by hashing " + buildIndexSignature(columnNames));
+        var hash = {};
+        var rows = bestCase ? readRows(table, bestCase) : matchRows(table, query.criteria);
+        groups = rows.inject(newArray(), function(groups, row) {
+            var signature = columnNames.collect(function(name) {
+                return row[name] == null ? "null" : toJSON(row[name]);
+            }).join(",");
+            var group = hash[signature];
+            if (!group) {
+                var rows = newArray();
+                group = hash[signature] = { key: keyOf(row), size: 0, rows: function() { return rows; } };
+                groups.push(group);
+            }
+            group.rows().push(row);
+            group.size++;
+            return groups;
+        });
+        var compare = buildOrderComparator(table, order);
+        groups.sort(function(l, r) { return compare(l.key, r.key); });
+    }
+    return isPaged(query.page) ? pageRows(groups, query.page) : groups;
+};
+
+/**
+ * Applies a function to the rows of each group.
+ * @param {DataTable.Grouping} grouping
+ * @param {String} name The property to store the result of f() in
+ * @param {Function} f Called with each group, returns the group's value
+ */
+var aggregateGroups = function(grouping, name, f) {
+    var table = grouping.query.table;
+    table._.active();
+    return findGroups(grouping.query, grouping.columnNames).collect(function(group) {
+        var result = { key: group.key };
+        result[name] = f(group);
+        return result;
+    });
+};
+
+/**
+ * Pairs the rows matched by the outer query of a join with the rows of the
+ * inner query having the same join column value. When an index on the
+ * inner table begins with the join column, matching rows are looked up in
+ * it; otherwise the inner rows are hashed by their join column value, or
+ * sorted by it and searched when the inner column has its own comparator,
+ * so that values are matched by that comparator. Null and undefined values
+ * never match.
+ * @param {DataTable.Join} join
+ * @param {Function} visitor Called with each outer row and matching inner
+ *     row, in the order of the outer rows. Outer rows without a match are
+ *     visited once with a null inner row for left joins, and skipped
+ *     otherwise. Semi joins visit each outer row having a match once, with a
+ *     null inner row. Rows are the originals held by the tables.
+ */
+var joinRows = function(join, visitor) {
+    var outer = join.query, inner = join.inner;
+    var innerTable = inner.table;
+    outer.table._.active();
+    innerTable._.active();
+    var tests = expandCriteria(inner.criteria).collect(function(branch) { return buildRowTest(innerTable, branch); });
+    function include(row) {
+        for (var i = 0, j = tests.length; i < j; ++i) if (tests[i](row)) return true;
+        return false;
+    }
+    var lookup;
+    var index = innerTable._.indicies.find(function(ix) { return ix.columns[0].name == join.innerColumn; });
+    if (index) {
+        if (innerTable._.verbose) log("Joining on " + join.innerColumn + " using " + index.signature);
+        var compareValues = DataTable.Comparator.pluck("value", null, index.columns[0].compare);
+        var depth = index.columns.length - 1;
+        lookup = function(value) {
+            var i = index.binarySearch(index.index, value, compareValues);
+            if (i != Math.floor(i) || i < 0 || i >= index.index.length) return null;
+            var rows = entryRows(index.index[i], depth).findAll(include);
+            return inner.order.length ? sortRows(innerTable, rows, inner.order) : rows;
+        };
+    } else if (columnComparator(innerTable, join.innerColumn) !== DataTable.Comparator) {
+        var comparator = columnComparator(innerTable, join.innerColumn);
+        var innerRows = matchRows(innerTable, inner.criteria, inner.order);
+        if (innerTable._.verbose) log("Joining on " + join.innerColumn + " using a sorted list of " + innerRows.length + " row(s)");
+        var keys = distinctValues(innerRows.pluck(join.innerColumn).findAll(function(value) { return value != null; }), comparator);
+        var buckets = keys.collect(function() { return newArray(); });
+        innerRows.each(function(row) {
+            var value = row[join.innerColumn];
+            if (value != null) buckets[indexOfValue(keys, value, comparator)].push(row);
+        });
+        lookup = function(value) {
+            var i = indexOfValue(keys, value, comparator);
+            return i >= 0 ? buckets[i] : null;
+        };
+    } else {
+        var hash = {};
+        var innerRows = matchRows(innerTable, inner.criteria, inner.order);
+        if (innerTable._.verbose) log("Joining on " + join.innerColumn + " using a hash of " + innerRows.length + " row(s)");
+        innerRows.each(function(row) {
+            var value = row[join.innerColumn];
+            if (value == null) return;
+            var key = toJSON(value);
+            (hash[key] || (hash[key] = newArray())).push(row);
+        });
+        lookup = function(value) { return hash[toJSON(value)] || null; };
+    }
+    matchRows(outer.table, outer.criteria, outer.order, outer.page).each(function(row) {
+        var value = row[join.outerColumn];
+        var matched = value == null ? null : lookup(value);
+        if (matched && matched.length) {
+            if (join.type == "semi") visitor(row, null);
+            else matched.each(function(innerRow) { visitor(row, innerRow); });
+        } else if (join.type == "left") {
+            visitor(row, null);
+        }
+    });
+};
+
+/**
+ * Finds the first row matched by a query, after any offset, without
+ * matching the rows after it where possible. The rows reduced by the chosen
+ * index are visited in order and tested against the unused criteria until
+ * one passes. Rows must be matched and sorted first only when they are not
+ * already in the requested order, or when several branches must be merged.
+ * @param {DataTable.Query} query
+ * @return {Object} the original row held by the table, or null
+ */
+var findFirst = function(query) {
+    var table = query.table;
+    var order = query.order, page = query.page;
+    if (page.limit === 0) return null;
+    var branches = expandCriteria(query.criteria);
+    if (branches.length != 1 && (order.length || page.offset)) {
+        return matchRows(table, query.criteria, order, { offset: page.offset, limit: 1 })[0] || null;
+    }
+    var result = null;
+    branches.find(function(branch) {
+        var bestCase = chooseIndex(table, branch, order);
+        if (order.length && !bestCase.ordered) {
+            result = readRows(table, bestCase, order, { offset: page.offset, limit: 1 })[0] || null;
+            return result != null;
+        }
+        if (table._.verbose) log("Reading the first match from " + bestCase.indexSignature);
+        var include = buildRowTest(table, bestCase.criteriaUnused);
+        var skip = page.offset;
+        bestCase.scan(function(row) {
+            if (include(row) && skip-- <= 0) {
+                result = row;
+                throw _$break;
+            }
+        }, bestCase.ordered < 0);
+        return result != null;
+    });
+    return result;
+};
+
+/**
+ * Throws an Error if a cursor's table has been changed since the cursor was
+ * opened.
+ * @param {DataTable.Cursor} cursor
+ */
+var checkCursorTable = function(cursor) {
+    cursor.table._.active();
+    if (cursor._.modifications !== cursor.table._.modifications) {
+        throw new Error("The table has been changed since the cursor was opened");
+    }
+};
+
+/**
+ * @param {Object} page The offset and limit of a query (optional)
+ * @return true if the page excludes any rows
+ */
+var isPaged = function(page) {
+    return Boolean(page && (page.offset || page.limit != null));
+};
+
+/**
+ * Applies the offset and limit of a query to a list of rows.
+ * @param {Array} rows
+ * @param {Object} page The offset and limit of the rows to return
+ */
+var pageRows = function(rows, page) {
+    var end = page.limit == null ? rows.length : page.offset + page.limit;
+    return extend(rows.slice(page.offset, end), ary);
+};
+
+/**
+ * Checks that a value may be used as an offset or limit.
+ * @param {Number} count
+ */
+var checkCount = function(count) {
+    if (typeof count != "number" || !(count >= 0) || Math.floor(count) != count) {
+        throw new Error("Expected a non-negative integer: " + count);
+    }
+};
+
+/**
+ * Builds a key used to order rows. Null and undefined values are treated as
+ * greater than any other value, so they are sorted last in ascending order
+ * and first in descending order.
+ * @param {DataTable} table
+ * @param {String} columnName The column to order by. May be followed by
+ *     "asc" or "desc" if direction is not specified.
+ * @param {String} direction "asc" or "desc" (optional, default "asc")
+ */
+var buildOrderKey = function(table, columnName, direction) {
+    var parts = /^\s*(\S+)\s+(\S+)\s*$/.exec(columnName);
+    if (parts && direction == null) {
+        columnName = parts[1];
+        direction = parts[2];
+    }
+    direction = (direction || "asc").toLowerCase();
+    if (!/^(asc|desc)$/.test(direction)) throw new Error("Unknown sort direction: " + direction);
+    checkColumnNames([columnName], table._.columnNames);
+    return { columnName: columnName, descending: direction == "desc" };
+};
+
+/**
+ * Sorts rows by a list of ordering keys. The passed array is not modified.
+ * @param {DataTable} table
+ * @param {Array} rows
+ * @param {Array} order A list of keys from buildOrderKey()
+ */
+var sortRows = function(table, rows, order) {
+    if (table._.verbose) log("Sorting " + rows.length + " row(s) by " + describeOrder(order));
+    return extend(rows.concat(), ary).sort(buildOrderComparator(table, order));
+};
+
+/**
+ * Builds a comparator function that orders objects by a list of ordering
+ * keys, using the comparator of each key's column.
+ * @param {DataTable} table
+ * @param {Array} order A list of keys from buildOrderKey()
+ */
+var buildOrderComparator = function(table, order) {
+    var comparators = order.collect(function(key) {
+        var comparator = DataTable.Comparator.pluck(key.columnName, key.columnName, columnComparator(table, key.columnName));
+        return key.descending ? function(l, r) { return comparator(r, l); } : comparator;
+    });
+    return function(l, r) {
+        for (var i = 0, j = comparators.length, c = 0; i < j && c == 0; ++i) c = comparators[i](l, r);
+        return c;
+    };
+};
+
+/**
+ * The $ property of rows returned with a projection. Projected rows do not
+ * contain every column, so they may not be passed back to update() or
+ * remove().
+ */
+var projectedRow = function() {
+    throw new Error("A projected row was passed, projected rows may not be updated or removed.");
+};
+
+/**
+ * Copies a value read from a row before it is returned, so a row's dates
+ * cannot be changed through the results of a query. Other values are
+ * returned unchanged.
+ * @param value
+ */
+var cloneValue = function(value) {
+    return value instanceof Date ? new Date(value.getTime()) : value;
+};
+
+/**
+ * Builds the source of an expression copying a column of the row named
+ * "object", for the generated clone and projection functions. Date values
+ * are copied, so a row's dates cannot be changed through its clones.
+ * @param {String} name The column name
+ * @return {String}
+ */
+var cloneValueSource = function(name) {
+    return "(object.name instanceof Date ? new Date(object.name.getTime()) : object.name)".replace(/name/g, name);
+};
+
+/**
+ * Locates or builds a fast projection function for the specified columns of
+ * a table. Like the clone function for rows, its source is generated so each
+ * column is copied without looping.
+ * @param {DataTable} table
+ * @param {Array} columnNames The columns to copy to the projected row
+ */
+var getProjection = function(table, columnNames) {
+    var signature = buildIndexSignature(columnNames);
+    var projection = table._.projections[signature];
+    if (!projection) {
+        var proto = extend(columnNames.concat("$"), ary).inject({}, function(proto, name) {
+            proto[name] = { toJSON: function() { return name == "$" ? "$" : cloneValueSource(name); } };
+            return proto;
+        });
+        var project = new Function("object", "$", "return " + toJSON(proto) + ";");
+        projection = table._.projections[signature] = function(object) { return project(object, projectedRow); };
+    }
+    return projection;
+};
+
+/**
+ * @param {Array} subindex One level of an index
+ * @param {Boolean} descending true if the level is a descending column
+ * @return {Object} the entry of rows having a null or undefined value, or
+ *     null if there are none. This is always the last entry, or the first
+ *     entry of a descending column.
+ */
+var nullEntryOf = function(subindex, descending) {
+    var entry = subindex[descending ? 0 : subindex.length - 1];
+    return entry && entry.value == null ? entry : null;
+};
+
+/**
+ * The operators comparing values by their order. Null and undefined are the
+ * greatest values in an index, but are never matched by these operators.
+ */
+var ORDERED_OPERATORS = { "<": true, "<=": true, ">": true, ">=": true, "between": true };
+
+/**
+ * Tests whether the index entries spanned by a comparison or a range reach
+ * the entry of null and undefined values, which are the greatest values.
+ * @param criterion A criterion with one of the ORDERED_OPERATORS, or a
+ *     "not between" criterion
+ * @param {Function} comparator The comparator of the criterion's column
+ * @return {Boolean}
+ */
+var spansNullEntry = function(criterion, comparator) {
+    var value = criterion.value;
+    switch (criterion.operator) {
+        case "<" : return comparator(null, value) <  0;
+        case "<=": return comparator(null, value) <= 0;
+        case ">" : return comparator(null, value) >  0;
+        case ">=": return comparator(null, value) >= 0;
+        case "between": return comparator(null, value.start) >= 0 && comparator(null, value.end) <= 0;
+        case "not between": return !spansNullEntry({ operator: "between", value: value }, comparator);
+    }
+};
+
+/**
+ * Gets the comparator of a column, see DataTable.comparator().
+ * @param {DataTable} table
+ * @param {String} columnName
+ * @return {Function} the comparator registered for the column, or
+ *     DataTable.Comparator
+ */
+var columnComparator = function(table, columnName) {
+    var comparators = table._.comparators;
+    return comparators.hasOwnProperty(columnName) ? comparators[columnName] : DataTable.Comparator;
+};
+
+/**
+ * Builds the columns of an index. The entries of a descending column are
+ * stored in the reverse order, so its null entry comes first.
+ * @param {DataTable} table
+ * @param {Array} columnNames A list of column names, each prefixed with "-"
+ *     if the column is descending
+ * @return {Array} a list of objects having the column name, whether it is
+ *     descending, the compare function of its values in index order, and a
+ *     comparator function of rows by the column
+ */
+var buildIndexColumns = function(table, columnNames) {
+    return extend(columnNames, ary).collect(function(cn) {
+        var descending = cn.charAt(0) == "-";
+        var name = descending ? cn.slice(1) : cn;
+        var ascending = columnComparator(table, name);
+        var compare = descending ? function(l, r) { return ascending(r, l); } : ascending;
+        return {
+            name: name,
+            descending: descending,
+            compare: compare,
+            comparator: DataTable.Comparator.pluck(name, name, compare)
+        };
+    });
+};
+
+/**
+ * @param {Array} columnNames A list of index column names, each prefixed
+ *     with "-" if the column is descending
+ * @return {Array} the names without the prefixes
+ */
+var stripDirections = function(columnNames) {
+    return newArray.apply(null, columnNames).collect(function(cn) {
+        return typeof cn == "string" && cn.charAt(0) == "-" ? cn.slice(1) : cn;
+    });
+};
+
+/**
+ * Build an index signature for the specified columns
+ * @param columnNames
+ */
+var buildIndexSignature = function(columnNames) {
+    return "[" + columnNames.join(",") + "]";
+};
+
+/**
+ * Logs a message. Unified logging function for DataTable.
+ * @param message
+ */
+var log = (typeof(console) == "object" && console.log) ? function(message) { console.log(message); } : function() {};
+
+/**
+ * Gets the current time in milliseconds, as precisely as available. Used to
+ * time the steps of matching rows.
+ */
+var now = (typeof(performance) == "object" && performance.now) ? function() { return performance.now(); }
+                                                                 : function() { return new Date().getTime(); };
+
+/**
+ * @constructor Builds a new DataTable
+ * @param {Array} columnNames An array of column names that will exist as
+ *     properties of all data row objects in this table. A column may instead
+ *     be described by an object having a name and a type, one of "number",
+ *     "string", "boolean" or "date". Values of a typed column are converted
+ *     to its type when rows are inserted or updated, and when criteria are
+ *     built; values that cannot be converted are rejected with an error.
+ *     Null and undefined values are kept. Numbers given for a date column
+ *     are times in milliseconds, and are rejected in criteria, so write
+ *     dates as Date objects or strings.
+ * @example
+ *     new DataTable(["name", { name: "population", type: "number" }]);
+ */
+DataTable = function(columnNames) {
+    var types = null;
+    columnNames = newArray.apply(null, columnNames || []).collect(function(column) {
+        if (column == null || typeof column != "object") return column;
+        if (typeof column.name != "string") throw new Error("Expected a name for column: " + toJSON(column));
+        if (!COLUMN_TYPES.hasOwnProperty(column.type)) throw new Error("Unknown type for column " + column.name + ": " + column.type);
+        (types || (types = {}))[column.name] = column.type;
+        return column.name;
+    });
+    checkColumnNames(columnNames);
+    this._ = { indicies: newArray(), rows: newArray(), columnNames: columnNames, paranoia: false,
+               verbose: false, active: function() {}, id: "table-" + new Date().getTime().toString(16),
+               projections: {}, modifications: 0, comparators: {}, types: types };
+    var proto = extend(["$"].concat(columnNames),ary).inject({}, function(proto, name) {
+        proto[name] = { toJSON: function() { return name == "$" ? "object.$" : cloneValueSource(name); } };
+        return proto;
+    });
+    this._.clone = new Function("object", "return " + toJSON(proto) + ";"); // fast clone function for rows
+    var markFunctionSource = columnNames.collect(function(name) {
+        return ("if (object.name !== original.name && !(object.name instanceof Date && original.name instanceof Date &&\n" +
+                "    object.name.getTime() === original.name.getTime())) changed = mark.name = true;").replace(/name/g, name);
+    }).join("\n");
+    markFunctionSource = "var changed = false;\n" + markFunctionSource + "\nreturn changed;";
+    this._.markChangedColumns = new Function("object", "original", "mark", markFunctionSource);
+    tablesIdentities[this._.id] = {};
+};
+
+/**
+ * Adds a new index to this table, of locates an existing index on the same
+ * columns.
+ * @param {Array} columnNames The columns, in order, to index. Prefix a
+ *     column name with "-" to index the column in descending order, so
+ *     rows ordered by it descending are read directly from the index, e.g.
+ *     ["region", "-population"].
+ * @retrun The index
+ */
+DataTable.prototype.index = function(columnNames) {
+    var self = this;
+    if (arguments.length == 0) return self._.indicies.collect(function(i) { return extend(i.columnNames.concat(), ary); });
+    self._.active();
+    checkColumnNames(stripDirections(columnNames), self._.columnNames);
+    var signature = buildIndexSignature(columnNames);
+    var index = self._.indicies.find(function(ix) { return ix.signature == signature; });
+    if (!index) {
+        index = new DataTable.Index(self, columnNames);
+        index.rowsAdded(self._.rows);
+        self._.indicies.push(index);
+    }
+    return index;
+};
+
+/**
+ * Sets the comparator ordering and matching the values of a column. Indexes
+ * on the column, criteria, sorting, grouping, and joins on the column all
+ * use it, so values it considers equal share an index entry and a group.
+ * Indexes on the column are rebuilt.
+ * <p>
+ * Null and undefined values are handled before the comparator is called, and
+ * remain greater than every other value. "like" and "matches" patterns are
+ * still matched as written, and "like" and "startsWith" criteria on the
+ * column are no longer reduced by an index.
+ * @param {String} columnName
+ * @param comparator A function returning a negative number, 0, or a positive
+ *     number; an object having such a compare function, like Intl.Collator;
+ *     or null to restore DataTable.Comparator. See
+ *     DataTable.Comparator.caseInsensitive, DataTable.Comparator.collator()
+ *     and DataTable.Comparator.ordering(). (optional)
+ * @return {Function} the comparator of the column, if none is passed
+ * @example
+ *     table.comparator("name", DataTable.Comparator.caseInsensitive);
+ *     table.findWhere("name", "==", "smith"); // also finds "Smith"
+ */
+DataTable.prototype.comparator = function(columnName, comparator) {
+    var self = this;
+    self._.active();
+    checkColumnNames([columnName], self._.columnNames);
+    if (arguments.length == 1) return columnComparator(self, columnName);
+    if (comparator != null && typeof comparator != "function") {
+        if (typeof comparator.compare != "function") throw new Error("Expected a comparator function for " + columnName + ": " + comparator);
+        comparator = bind(comparator.compare, comparator);
+    }
+    if (comparator == null || comparator === DataTable.Comparator) {
+        delete self._.comparators[columnName];
+    } else {
+        self._.comparators[columnName] = function(l, r) {
+            return l == null ? (r == null ? 0 : 1) : r == null ? -1 : comparator(l, r);
+        };
+    }
+    self._.modifications++; // rows matched on the column may have changed
+    self._.indicies.each(function(index) {
+        if (!index.columns.pluck("name").include(columnName)) return;
+        if (self._.verbose) log("Rebuilding " + index.signature);
+        index.columns = buildIndexColumns(self, index.columnNames);
+        index.index = newArray();
+        index.index.total = 0;
+        index.rowsAdded(self._.rows);
+    });
+};
+
+/**
+ * Adds rows to this table
+ * @param {Array} rows
+ * @return {Array} the inserted data row objects.
+ */
+DataTable.prototype.insert = function(rows) {
+    var self = this;
+    self._.active();
+    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray(rows);
+    if (self._.types) { // every row is converted before any is inserted
+        rows = rows.collect(function(row) { return row.$ ? row : coerceRow(self, self._.clone(row)); });
+    }
+    var result = rows.collect(function(row) {
+        if (row.$) return; // row is already in the table
+        row = self._.clone(row);
+        var index = self._.rows.length;
+        row.$ = function() {
+            self._.active();
+            switch (arguments.length) {
+                case 0:
+                    return self._.clone(row); // default: clone(ROW_META_DATA.ORIGINAL)
+                case 1:
+                    if (arguments[0] === ROW_META_DATA.INDEX) return index;
+                    if (arguments[0] === ROW_META_DATA.ORIGINAL) return row;
+                    if (arguments[0] === ROW_META_DATA.TABLE_ID) return tablesIdentities[self._.id];
+                    break;
+                case 2:
+                    if (arguments[0] === ROW_META_DATA.INDEX) { index = arguments[1]; return this; };
+                    if (arguments[0] === ROW_META_DATA.ORIGINAL) {
+                        row = arguments[1];
+                        row.$ = arguments.callee;
+                        return this;
+                    };
+                    return this;
+            }
+        };
+        self._.rows.push(row);
+        return row;
+    });
+    self._.modifications++;
+    if (self._.verbose)  {
+        log("inserted " + result.length + " row(s):\n\t" + result.collect(function(r) {
+            return toJSON(r);
+        }).join("\n\t"));
+    }
+    self._.indicies.each(function(i) { i.rowsAdded(result); });
+    if (self._.paranoia) self.validateIndex();
+    return result.collect(this._.clone);
+};
+
+/**
+ * Removes rows from this table
+ * @param {Array} rows
+ */
+DataTable.prototype.remove = function(rows) {
+    var self = this;
+    self._.active();
+    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray.apply(null,rows);
+    var origRows = rows.collect(function(r) {
+        checkTableIdentity(self, r.$(ROW_META_DATA.TABLE_ID));
+        return r.$();
+    });
+    self._.indicies.each(function(i) { i.rowsRemoved(origRows); });
+    self._.modifications++;
+    origRows.each(function(row) {
+        if (self._.rows.length > 1) {
+            var last = self._.rows.last();
+            if (row != last) {
+                var indexToOverwrite = row.$(ROW_META_DATA.INDEX);
+                self._.rows[indexToOverwrite] = last;
+                last.$(ROW_META_DATA.INDEX, indexToOverwrite);
+            }
+        }
+        self._.rows.length--;
+        delete row.$;
+    });
+    rows.each(function(r) { delete r.$; });
+    if (self._.verbose)  {
+        log("removed " + rows.length + " row(s):\n\t" + rows.collect(function(r) {
+            return toJSON(r);
+        }).join("\n\t"));
+    }
+    if (self._.paranoia) self.validateIndex();
+};
+
+/**
+ * Updates rows that were obtained from this table
+ * @param {Array} rows
+ */
+DataTable.prototype.update = function(rows) {
+    var self = this;
+    self._.active();
+    var changedColumns = {};
+    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray(rows);
+    rows = rows.findAll(function(r) {
+        checkTableIdentity(self, r.$(ROW_META_DATA.TABLE_ID));
+        if (self._.types) coerceRow(self, r);
+        return self._.markChangedColumns(r, r.$(), changedColumns);
+    });
+    var oldRows = rows.collect(function(r) { return r.$(); });
+    if (rows.length == 0) return;
+    self._.modifications++;
+    self._.indicies.each(function(i) {
+        if (i.columns.any(function(column) { return Boolean(changedColumns[column.name]); })) {
+            i.rowsRemoved(oldRows);
+            if (self._.paranoia) i.validateIndex();
+            i.rowsAdded(rows);
+            if (self._.paranoia) i.validateIndex();
+        }
+    });
+    rows.each(function(r) {
+        var newRow = self._.clone(r);
+        newRow.$(ROW_META_DATA.ORIGINAL, newRow);
+        self._.rows[r.$(ROW_META_DATA.INDEX)] = newRow;
+    });
+    if (self._.verbose)  {
+        var cols = 0;
+        for (var k in changedColumns) if (changedColumns.hasOwnProperty(k)) ++cols;
+        log("updated " + rows.length + " row(s), touching " + cols + " column(s):\n\t" +
+            rows.collect(function(r) {
+            return toJSON(r);
+        }).join("\n\t"));
+    }
+};
+
+/**
+ * Finds rows in this table matching the specified criteria
+ * @param {String|DataTable.Query|Function} columnName The column to test, a
+ *     query on this table whose criteria are applied as a group, or a
+ *     predicate function passed each row.
+ * @param {String|Object} operator The operator, or for a predicate function,
+ *     optional hints of its cost and selectivity; see DataTable.Query
+ * @param {String|Number|Boolean|Range|Array|RegExp|DataTable|DataTable.Query} value
+ *     The value to test against, of the type the operator expects; see
+ *     DataTable.Query
+ * @param {String} valueColumnName The column of a subquery's rows to test
+ *     against (optional if the subquery selects a single column)
+ * @return {DataTable.Query} A query that may be further narrowed with and(),
+ *     widened with or(), and finally executed with getRows().
+ */
+DataTable.prototype.findWhere = function(columnName, operator, value, valueColumnName) {
+    this._.active();
+    return new DataTable.Query(this).and(columnName, operator, value, valueColumnName);
+};
+
+/**
+ * Finds rows in this table matching a query object, so that criteria may be
+ * stored and replayed as data. The query object is compiled to the same
+ * criteria as findWhere(); each property names a column and the value it
+ * must equal, or an object of operators it must meet:
+ * <code>
+ *     table.query({ region: "Pacific", population: { $gt: 1e6, $lt: 5e6 } });
+ * </code>
+ * The following operators are understood:
+ *     $eq, $ne, $lt, $lte, $gt, $gte: compare the column to a value
+ *     $in, $nin: test the column against an array of values
+ *     $between: test the column against an array of two values, inclusive
+ *     $startsWith, $like: match the column to a string or "like" pattern
+ *     $regex: match the column to a RegExp or the source of one
+ *     $exists: true to match rows where the column is not null or
+ *         undefined, false to match rows where it is
+ *     $not: match rows not meeting an object of operators
+ * All properties of a query object must be met. Properties may also be
+ * grouped with the following:
+ *     $and: an array of query objects, all of which must be met
+ *     $or: an array of query objects, any of which must be met
+ *     $not: a query object which must not be met
+ * <code>
+ *     table.query({ $or: [ { region: "Pacific" }, { abbr: { $in: ["TX", "CA"] } } ] });
+ * </code>
+ * @param {Object} spec The query object
+ * @return {DataTable.Query} A query that may be further narrowed with and(),
+ *     widened with or(), and finally executed with getRows().
+ */
+DataTable.prototype.query = function(spec) {
+    this._.active();
+    var query = new DataTable.Query(this);
+    append(query.criteria, compileQuery(this, spec));
+    return query;
+};
+
+/**
+ * Finds rows in this table matching a filter expression written as a subset
+ * of a SQL WHERE clause. The expression is compiled to the same criteria as
+ * findWhere():
+ * <code>
+ *     table.where("population > 1000000 AND region in ('Pacific', 'Southeast')");
+ * </code>
+ * The following are understood, with keywords in any case:
+ *     comparisons: =, ==, !=, <>, <, <=, >, >=
+ *     column [NOT] BETWEEN value AND value
+ *     column [NOT] IN (value, ...)
+ *     column [NOT] LIKE 'pattern'
+ *     column IS [NOT] NULL
+ *     AND, OR, NOT and parentheses, with NOT binding most tightly and OR
+ *     least tightly
+ * Values are numbers, strings in single quotes (with '' for a quote), TRUE,
+ * FALSE and NULL. Each comparison must have a column on its left. Values may
+ * also be placeholders for a prepared statement, see prepare(); "?" for the
+ * next positional parameter, numbered from 0, or ":name" for a named one.
+ * <p>
+ * An expression that cannot be parsed throws an Error with a position
+ * property, the offset of the offending text in the expression, and a
+ * length property, the length of that text.
+ * @param {String} expression
+ * @return {DataTable.Query} A query that may be further narrowed with and(),
+ *     widened with or(), and finally executed with getRows().
+ */
+DataTable.prototype.where = function(expression) {
+    this._.active();
+    var query = new DataTable.Query(this);
+    append(query.criteria, parseWhere(this, expression));
+    return query;
+};
+
+/**
+ * Prepares a query to be executed many times with different values. The
+ * values that change are written as placeholders, either
+ * DataTable.param(name) or "?" and ":name" in a where() expression, and
+ * are passed to execute():
+ * <code>
+ *     var statement = table.prepare("region == ? AND population between ? and ?");
+ *     statement.execute(["Pacific", 1000000, 5000000]);
+ *     statement = table.prepare(table.findWhere("region", "==", DataTable.param("region")));
+ *     statement.execute({ region: "Pacific" });
+ * </code>
+ * The index chosen for the first execution is used again by later ones,
+ * so the indexes are not all costed for every execution. The index is
+ * chosen again when the table's indexes are changed, or when the number of
+ * rows in the table has grown or shrunk by half or more since it was
+ * chosen.
+ * @param {DataTable.Query|String|Object} template A query on this table,
+ *     or a where() expression or query() object to build one from
+ * @return {DataTable.Statement}
+ */
+DataTable.prototype.prepare = function(template) {
+    this._.active();
+    if (typeof template == "string") template = this.where(template);
+    else if (!(template instanceof DataTable.Query)) template = this.query(template);
+    else if (template.table !== this) throw new Error("A query was passed that does not belong to this table.");
+    return new DataTable.Statement(template);
+};
+
+/**
+ * Joins the rows of this table with the rows of another table having the
+ * same value in a join column. See DataTable.Query.join().
+ * @param {DataTable|DataTable.Query} inner The table to join with, or a
+ *     query on it to join with only the rows it matches
+ * @param {String} columnName The join column of this table
+ * @param {String} innerColumnName The join column of the inner table
+ *     (optional, defaults to columnName)
+ * @param {String} type "inner", "left" or "semi" (optional, default
+ *     "inner")
+ * @return {DataTable.Join}
+ */
+DataTable.prototype.join = function(inner, columnName, innerColumnName, type) {
+    this._.active();
+    return new DataTable.Query(this).join(inner, columnName, innerColumnName, type);
+};
+
+/**
+ * Lists the distinct values of a column in this table, with the number of
+ * rows having each value. See DataTable.Query.distinct().
+ * @param {String} columnName
+ * @return {Array} a list of {value, count} objects
+ */
+DataTable.prototype.distinct = function(columnName) {
+    this._.active();
+    return new DataTable.Query(this).distinct(columnName);
+};
+
+/**
+ * Remove this table breaks down data structures for easier garbage
+ * collection. Any further calls to this table or any row or data structure
+ * associated with it will throw an error.
+ */
+DataTable.prototype.drop = function() {
+    this._.active();
+    this._.active = function() { throw new Error("Table has been dropped"); };
+};
+
+/**
+ * Returns all rows in this table. The returned rows are cloned and
+ * suitable for manipulation, then may be passed back to update().
+ * @param {Array} order A list of column names to order the rows by, each
+ *     optionally followed by "asc" or "desc", e.g. ["region", "population
+ *     desc"]. An index is used to order the rows if one is suitable.
+ *     (optional)
+ * @param {Array} columnNames A list of columns to copy to each row. Rows
+ *     projected onto fewer columns may not be passed back to update(), see
+ *     DataTable.Query.select(). (optional)
+ */
+DataTable.prototype.getRows = function(order, columnNames) {
+    this._.active();
+    if (!order || order.length == 0) {
+        if (!columnNames) return this._.rows.collect(this._.clone);
+        checkColumnNames(columnNames, this._.columnNames);
+        return this._.rows.collect(getProjection(this, columnNames));
+    }
+    var query = new DataTable.Query(this);
+    newArray.apply(null, order).each(function(key) { query.orderBy(key); });
+    if (columnNames) query.select(columnNames);
+    return query.getRows();
+};
+
+/**
+ * Returns the number of rows in this table.
+ */
+DataTable.prototype.getCount = function() {
+    this._.active();
+    return this._.rows.length;
+};
+
+/**
+ * Utility method that validates all indexes on the table. This routine is
+ * used for testing.
+ */
+DataTable.prototype.validateIndex = function() {
+    this._.active();
+    this._.indicies.each(function(ix) { ix.validateIndex(); });
+};
+
+/**
+ * Enables paranoia mode to check the integrity of all indexes every time
+ * data is modified.
+ * @param {Boolean} enable (optional)
+ */
+DataTable.prototype.paranoia = function(enable) {
+    this._.active();
+    if (arguments.length == 0) return this._.paranoia;
+    this._.paranoia = Boolean(enable);
+};
+
+/**
+ * Enables verbose mode to log insert, update, delete and find operations
+ * to the console.
+ * @param {Boolean} enable (optional)
+ */
+DataTable.prototype.verbose = function(enable) {
+    this._.active();
+    if (arguments.length == 0) return this._.verbose;
+    this._.verbose = Boolean(enable);
+};
+
+/**
+ * Override the logging mechanism, for demonstration purposes only.
+ * @param logger
+ */
+DataTable.logger = function(logger) {
+    if (arguments.length == 0) return log; else log = logger || function(){};
+};
+
+/**
+ * A basic comparator function compatible with Array.sort(). Null/undefined
+ * values are pushed to the end of the sorted collection.
+ * <p>
+ * Null and undefined are both treated as a missing value. They are equal to
+ * each other, greater than every other value, and are kept in a single entry
+ * at the end of each index level, or at the start of a descending one.
+ * Criteria such as "== null" therefore match both, as do the "isNull" and
+ * "isNotNull" operators. A missing value is never matched by "<", "<=",
+ * ">", ">=" or "between", although it sorts last; it is matched by "!=",
+ * "not between" and the negation of a comparison, such as not(">", x).
+ * <p>
+ * Dates are compared by their time, so different Date objects for the same
+ * time are equal.
+ * @param l
+ * @param r
+ * @return -1, 0, or 1, if the left value is less than, equal, or greater than
+ *     the right value.
+ */
+DataTable.Comparator = function(l,r) {
+    if (l instanceof Date) l = l.getTime();
+    if (r instanceof Date) r = r.getTime();
+    return l == r ? 0 : l == null ? 1 : r == null ? -1 : l > r ? 1 : -1;
+};
+
+/**
+ * Extends the basic comparator by plucking properties from the left and/or
+ * right side object values.
+ * <p>
+ * If only one argument is specified, the same name will be plucked from both
+ * left and right value object when performing the comparison. If no arguments
+ * are specified, or both have no value, the comparator itself is returned.
+ * @param {String} lName The name to pluck from the left side, or null to
+ *     compare the left value directly.
+ * @param {String} rName The name to pluck from the right side, or null to
+ *     compare the right value directly.
+ * @param {Function} comparator The comparator of the plucked values,
+ *     CA.DataTable.Comparator by default (optional)
+ * @return A comparator function suitable for use with Array.sort().
+ */
+DataTable.Comparator.pluck = function(lName, rName, comparator) {
+    if (arguments.length == 1) rName = lName;
+    var compare = comparator || DataTable.Comparator;
+    if (lName && rName) return function(l, r) { return compare(l[lName], r[rName]); };
+    else if (lName) return function(l, r) { return compare(l[lName], r); };
+    else if (rName) return function(l, r) { return compare(l, r[rName]); };
+    else return compare;
+};
+
+/**
+ * Compares strings ignoring their case. Other values are compared by
+ * DataTable.Comparator. See DataTable.comparator().
+ * @param l
+ * @param r
+ */
+DataTable.Comparator.caseInsensitive = function(l, r) {
+    if (typeof l == "string" && typeof r == "string") return DataTable.Comparator(l.toLowerCase(), r.toLowerCase());
+    return DataTable.Comparator(l, r);
+};
+
+/**
+ * Builds a comparator ordering strings by the rules of a locale, using
+ * Intl.Collator. Other values are compared by DataTable.Comparator. See
+ * DataTable.comparator().
+ * @param {String|Array} locales (optional)
+ * @param {Object} options Intl.Collator options, such as
+ *     { sensitivity: "base" } to consider "a", "A" and "\u00e1" equal
+ *     (optional)
+ * @return {Function}
+ */
+DataTable.Comparator.collator = function(locales, options) {
+    if (typeof(Intl) != "object" || !Intl.Collator) throw new Error("Intl.Collator is not supported");
+    var collator = new Intl.Collator(locales, options);
+    return function(l, r) {
+        if (typeof l == "string" && typeof r == "string") return collator.compare(l, r);
+        return DataTable.Comparator(l, r);
+    };
+};
+
+/**
+ * Builds a comparator ordering values by their position in a list, for a
+ * domain ordering such as ["low", "medium", "high"]. Values not in the list
+ * are ordered after those in it, by DataTable.Comparator. See
+ * DataTable.comparator().
+ * @param {Array} values
+ * @return {Function}
+ */
+DataTable.Comparator.ordering = function(values) {
+    var ranks = {};
+    for (var i = values.length - 1; i >= 0; i--) ranks[toJSON(values[i])] = i;
+    function rankOf(value) {
+        var key = toJSON(value);
+        return ranks.hasOwnProperty(key) ? ranks[key] : values.length;
+    }
+    return function(l, r) {
+        var lRank = rankOf(l), rRank = rankOf(r);
+        if (lRank != rRank) return lRank < rRank ? -1 : 1;
+        return lRank == values.length ? DataTable.Comparator(l, r) : 0;
+    };
+};
+
+/**
+ * @constructor Builds a new Query. Queries are normally obtained from
+ *     DataTable.findWhere() rather than being constructed directly.
+ * <p>
+ * Criteria added with and() bind more tightly than criteria added with or(),
+ * so a.and(b).or(c).and(d) matches rows meeting (a AND b) OR (c AND d). To
+ * group criteria differently, pass another query on the same table in place
+ * of the column name, operator and value:
+ * <code>
+ *     var bigOrPacific = table.findWhere("region", "==", "Pacific")
+ *                             .or("population", ">", 10000000);
+ *     table.findWhere("inducted", "<", 1900).and(bigOrPacific).getRows();
+ * </code>
+ * Criteria that cannot be written as a column, operator and value may be
+ * given as a predicate function, which is passed each row and returns true
+ * to match it. A predicate is passed a clone of each row, so changing it
+ * does not change the table. A predicate is never applied by an index; it
+ * is tested against the rows left after the index has reduced them, in
+ * order of its cost among the other remaining criteria. Its cost is
+ * relative to a single comparison, and its selectivity is the fraction of
+ * rows it is expected to match:
+ * <code>
+ *     table.findWhere("region", "==", "Pacific")
+ *          .and(function(row) { return isCoastal(row.name); }, { cost: 20, selectivity: 0.5 })
+ *          .getRows();
+ * </code>
+ * The following operators are understood, in any case, with the values
+ * they are given:
+ *     <, <=, ==, >=, >, !=: a value to compare with
+ *     between, not between: a DataTable.Range, inclusive of both ends
+ *     in, not in: an Array, a DataTable.Set or a DataTable.Range of values,
+ *         or a DataTable or DataTable.Query whose rows are a subquery
+ *         finding them, see DataTable.Subquery
+ *     startsWith: a String prefix
+ *     like: a String pattern, with "%" matching any characters and "_"
+ *         matching one character
+ *     matches: a RegExp
+ *     isNull, isNotNull: no value
+ * A predicate function is given no value.
+ * @param {DataTable} table The table to query
+ */
+DataTable.Query = function(table) {
+    this.table = table;
+    this.criteria = newArray();
+    this.order = newArray();
+    this.columns = null;
+    this.page = { offset: 0, limit: null };
+    this._ = { branch: this.criteria, disjunction: null };
+};
+
+/**
+ * Further narrows rows in this table matching the specified criteria
+ * @param {String|DataTable.Query|Function} columnName The column to test, a
+ *     query on this table whose criteria are applied as a group, or a
+ *     predicate function passed each row.
+ * @param {String|Object} operator The operator, or for a predicate function,
+ *     optional hints of its cost and selectivity; see DataTable.Query
+ * @param {String|Number|Boolean|Range|Array|RegExp|DataTable|DataTable.Query} value
+ *     The value to test against, of the type the operator expects; see
+ *     DataTable.Query
+ * @param {String} valueColumnName The column of a subquery's rows to test
+ *     against (optional if the subquery selects a single column)
+ */
+DataTable.Query.prototype.and = function(columnName, operator, value, valueColumnName) {
+    this.table._.active();
+    append(this._.branch, buildCriteria(this.table, columnName, operator, value, valueColumnName));
+    return this;
+};
+
+/**
+ * Widens this query to also match rows meeting the specified criteria. The
+ * criteria may be further narrowed by calling and().
+ * @param {String|DataTable.Query|Function} columnName The column to test, a
+ *     query on this table whose criteria are applied as a group, or a
+ *     predicate function passed each row.
+ * @param {String|Object} operator The operator, or for a predicate function,
+ *     optional hints of its cost and selectivity; see DataTable.Query
+ * @param {String|Number|Boolean|Range|Array|RegExp|DataTable|DataTable.Query} value
+ *     The value to test against, of the type the operator expects; see
+ *     DataTable.Query
+ * @param {String} valueColumnName The column of a subquery's rows to test
+ *     against (optional if the subquery selects a single column)
+ */
+DataTable.Query.prototype.or = function(columnName, operator, value, valueColumnName) {
+    this.table._.active();
+    var branch = buildCriteria(this.table, columnName, operator, value, valueColumnName);
+    if (!this._.disjunction) {
+        this._.disjunction = { operator: "or", value: newArray(extend(this.criteria.concat(), ary)) };
+        this.criteria.length = 0;
+        this.criteria.push(this._.disjunction);
+    }
+    this._.disjunction.value.push(branch);
+    this._.branch = branch;
+    return this;
+};
+
+/**
+ * Further narrows rows in this table to those NOT matching the specified
+ * criteria. Negated criteria are rewritten using the opposite operators, so
+ * they may still be applied using an index.
+ * @param {String|DataTable.Query|Function} columnName The column to test, a
+ *     query on this table whose criteria are negated as a group, or a
+ *     predicate function passed each row.
+ * @param {String|Object} operator The operator, or for a predicate function,
+ *     optional hints of its cost and selectivity; see DataTable.Query
+ * @param {String|Number|Boolean|Range|Array|RegExp|DataTable|DataTable.Query} value
+ *     The value to test against, of the type the operator expects; see
+ *     DataTable.Query
+ * @param {String} valueColumnName The column of a subquery's rows to test
+ *     against (optional if the subquery selects a single column)
+ */
+DataTable.Query.prototype.not = function(columnName, operator, value, valueColumnName) {
+    this.table._.active();
+    append(this._.branch, negateCriteria(buildCriteria(this.table, columnName, operator, value, valueColumnName)));
+    return this;
+};
+
+/**
+ * Orders the rows returned by this query. May be called more than once to
+ * order by several columns. Null and undefined values are treated as greater
+ * than any other value, so they are sorted last in ascending order and first
+ * in descending order.
+ * <p>
+ * When the index chosen to apply the criteria is already ordered by the
+ * requested columns, the rows are not sorted again.
+ * @param {String} columnName The column to order by
+ * @param {String} direction "asc" or "desc" (optional, default "asc")
+ */
+DataTable.Query.prototype.orderBy = function(columnName, direction) {
+    this.table._.active();
+    this.order.push(buildOrderKey(this.table, columnName, direction));
+    return this;
+};
+
+/**
+ * Limits the columns copied to the rows returned by this query. Projected
+ * rows are lighter than full rows, but they may not be passed back to
+ * update() or remove(); their $ property throws an error when called.
+ * @param {Array} columnNames The columns to include in each row
+ */
+DataTable.Query.prototype.select = function(columnNames) {
+    this.table._.active();
+    checkColumnNames(columnNames, this.table._.columnNames);
+    this.columns = newArray.apply(null, columnNames);
+    return this;
+};
+
+/**
+ * Limits the number of rows returned by this query. Combined with offset()
+ * and orderBy(), this may be used to page through results.
+ * <p>
+ * When every criterion is applied by the chosen index, and the index is in
+ * the requested order, rows after the limit are never visited.
+ * @param {Number} count The maximum number of rows to return
+ */
+DataTable.Query.prototype.limit = function(count) {
+    this.table._.active();
+    checkCount(count);
+    this.page.limit = count;
+    return this;
+};
+
+/**
+ * Skips a number of rows before returning rows from this query. When every
+ * criterion is applied by the chosen index, and the index is in the
+ * requested order, the skipped rows are never visited.
+ * @param {Number} count The number of rows to skip
+ */
+DataTable.Query.prototype.offset = function(count) {
+    this.table._.active();
+    checkCount(count);
+    this.page.offset = count;
+    return this;
+};
+
+/**
+ * Processes the accumulated criteria and applies it to the data in this
+ * table. The returned rows are cloned and suitable for manipulation, then
+ * may be passed back to update().
+ * <p>
+ * When the criteria contains or() branches, each branch is matched using the
+ * cheapest index for that branch, and rows matched by more than one branch
+ * are only returned once.
+ */
+DataTable.Query.prototype.getRows = function() {
+    var table = this.table;
+    table._.active();
+    var matchedRows = matchRows(table, this.criteria, this.order, this.page);
+    if (table._.verbose)  {
+        log("found " + matchedRows.length + " row(s):\n\t" + matchedRows.collect(function(r) {
+            return toJSON(r);
+        }).join("\n\t"));
+    }
+    return matchedRows.collect(this.columns ? getProjection(table, this.columns) : table._.clone);
+};
+
+/**
+ * Finds the first row matched by this query, in the requested order and
+ * after any offset. Rows after the first match are not visited when the
+ * chosen index already holds the rows in the requested order, and only the
+ * returned row is cloned.
+ * <code>
+ *     var texas = table.findWhere("abbr", "==", "TX").findOne();
+ * </code>
+ * @return {Object} a cloned row suitable for manipulation, which may be
+ *     passed back to update(), or null if no row is matched
+ */
+DataTable.Query.prototype.findOne = function() {
+    var table = this.table;
+    table._.active();
+    var row = findFirst(this);
+    if (table._.verbose) log(row ? "found " + toJSON(row) : "found no row");
+    return row && (this.columns ? getProjection(table, this.columns) : table._.clone)(row);
+};
+
+/**
+ * Tests whether any row is matched by this query, stopping at the first
+ * match. When every criterion of a branch is applied by the chosen index,
+ * the answer is taken from the sizes kept in the index, and no rows are
+ * visited.
+ * @return {Boolean}
+ */
+DataTable.Query.prototype.exists = function() {
+    var table = this.table;
+    table._.active();
+    if (isPaged(this.page)) return this.count() > 0;
+    return Boolean(expandCriteria(this.criteria).find(function(branch) {
+        var bestCase = chooseIndex(table, branch);
+        if (bestCase.criteriaUnused.length) {
+            var include = buildRowTest(table, bestCase.criteriaUnused);
+            var found = false;
+            bestCase.scan(function(row) {
+                if (include(row)) {
+                    found = true;
+                    throw _$break;
+                }
+            });
+            return found;
+        }
+        if (table._.verbose) log("Counting the matches of " + bestCase.indexSignature);
+        return bestCase.count() > 0;
+    }));
+};
+
+/**
+ * Opens a cursor over the rows matched by this query. Rows are matched when
+ * the cursor is opened, but each row is cloned only as it is read, so rows
+ * that are never read are never cloned:
+ * <code>
+ *     var cursor = table.findWhere("population", ">", 1000000).cursor();
+ *     while (cursor.hasNext()) process(cursor.next());
+ *     cursor.forEach(function(row) { return row.region != "Pacific"; }); // stops at a Pacific row
+ *     for (var row of table.findWhere("region", "==", "West").cursor()) process(row);
+ * </code>
+ * The cursor throws an Error if the table is changed while it is open.
+ * @return {DataTable.Cursor}
+ */
+DataTable.Query.prototype.cursor = function() {
+    var table = this.table;
+    table._.active();
+    var matchedRows = matchRows(table, this.criteria, this.order, this.page);
+    if (table._.verbose) log("opened a cursor on " + matchedRows.length + " row(s)");
+    return new DataTable.Cursor(table, matchedRows, this.columns ? getProjection(table, this.columns) : table._.clone);
+};
+
+/**
+ * Describes how this query would be executed by getRows(), without
+ * executing it. Every way to match each branch of the criteria is listed,
+ * so the plans not chosen may be compared with the one that was.
+ * <code>
+ *     var plan = table.findWhere("region", "==", "Pacific").explain();
+ *     plan.branches[0].chosen.index; // "[region,population]"
+ * </code>
+ * @return {Object} An object containing the following:
+ *     {String} criteria: the criteria of this query.
+ *     {Array} branches: one object for each or() branch of the criteria,
+ *         containing the following:
+ *         {String} criteria: the criteria of the branch.
+ *         {Array} candidates: a plan for a table scan, followed by a plan
+ *             for each index of the table.
+ *         {Object} chosen: the candidate with the least cost, which
+ *             getRows() uses to match the branch.
+ *     {Boolean} merged: true if the rows matched by several branches are
+ *         merged, then sorted and paged.
+ *     {Array} order: the columns the rows are ordered by, each followed by
+ *         "asc" or "desc".
+ *     {Number} offset: the number of rows skipped.
+ *     {Number} limit: the greatest number of rows returned, or null.
+ * Each plan contains the following:
+ *     {String} index: the columns of the index, or "<table scan>".
+ *     {Number} cost: the estimated cost of matching the branch.
+ *     {Number} expectedRows: the estimated number of rows reduced by the
+ *         index, before the unused criteria are applied.
+ *     {Array} criteriaUsed: the criteria applied by the index.
+ *     {Array} criteriaUnused: the criteria left to test against each
+ *         reduced row, in the order they are applied.
+ *     {Number} ordered: 1 if the reduced rows are in the requested order,
+ *         -1 if they are in reverse order, or 0 otherwise.
+ *     {Boolean} sorted: true if the matched rows must be sorted.
+ *     {Boolean} paged: true if the offset and limit are applied while
+ *         reducing rows, so rows outside the page are never read.
+ */
+DataTable.Query.prototype.explain = function() {
+    var table = this.table;
+    table._.active();
+    var branches = expandCriteria(this.criteria);
+    var merged = branches.length != 1;
+    var order = merged ? null : this.order;
+    var page = merged ? null : this.page;
+    return {
+        criteria: this.criteria.collect(criterionToString).join(" AND "),
+        branches: branches.collect(function(branch) {
+            var plans = listPlans(table, branch, order);
+            var candidates = plans.collect(function(plan) { return describePlan(plan, order, page); });
+            return {
+                criteria: branch.collect(criterionToString).join(" AND "),
+                candidates: candidates.concat(),
+                chosen: candidates[plans.indexOf(cheapestPlan(plans))]
+            };
+        }).concat(),
+        merged: merged,
+        order: this.order.collect(function(key) { return describeOrder(newArray(key)); }).concat(),
+        offset: this.page.offset,
+        limit: this.page.limit
+    };
+};
+
+/**
+ * Executes this query as getRows() would, and reports the estimated and
+ * actual number of rows after each step of matching them, with the time
+ * each step took. Comparing the estimates with the actual rows shows where
+ * the cost model misjudges the data. Rows are not cloned.
+ * @return {Object} The result of explain(), with the following added:
+ *     {Array} steps: the steps of merging several branches, then any
+ *         sorting and paging.
+ *     {Number} actualRows: the number of rows matched by this query.
+ *     {Number} time: the total time taken, in milliseconds.
+ * Each branch has the following added:
+ *     {Array} steps: the steps of matching the branch; the rows reduced by
+ *         the chosen index, then each unused criterion applied, then any
+ *         reversing, sorting and paging.
+ * Each step contains the following:
+ *     {String} operation: "reduce", "filter", "reverse", "sort", "page" or
+ *         "merge".
+ *     {String} description: the index, criterion, order or page applied.
+ *     {Number} expectedRows: the estimated number of rows after the step,
+ *         or null if the step is not estimated.
+ *     {Number} actualRows: the number of rows after the step.
+ *     {Number} time: the time taken by the step, in milliseconds.
+ */
+DataTable.Query.prototype.explainAnalyze = function() {
+    var table = this.table;
+    var plan = this.explain();
+    var analysis = { branches: newArray(), steps: newArray() };
+    var start = now();
+    plan.actualRows = matchRows(table, this.criteria, this.order, this.page, analysis).length;
+    plan.time = now() - start;
+    for (var i = 0, j = plan.branches.length; i < j; ++i) plan.branches[i].steps = analysis.branches[i].concat();
+    plan.steps = analysis.steps.concat();
+    return plan;
+};
+
+/**
+ * Counts the rows matched by this query, after any offset and limit. When
+ * every criterion is applied by the chosen index, the count is taken from
+ * the sizes kept in the index, and no rows are visited or cloned.
+ */
+DataTable.Query.prototype.count = function() {
+    var table = this.table;
+    table._.active();
+    var branches = expandCriteria(this.criteria);
+    var count;
+    if (branches.length == 1) {
+        var bestCase = chooseIndex(table, branches[0]);
+        count = bestCase.criteriaUnused.length ? readRows(table, bestCase).length : bestCase.count();
+    } else {
+        count = matchRows(table, this.criteria).length;
+    }
+    count = Math.max(0, count - this.page.offset);
+    if (this.page.limit != null) count = Math.min(count, this.page.limit);
+    if (table._.verbose) log("counted " + count + " row(s)");
+    return count;
+};
+
+/**
+ * Groups the rows matched by this query by the values of one or more
+ * columns. Groups are ordered by their key. When an index begins with the
+ * grouped columns, the groups are read from that index's entries, and group
+ * counts are taken from the sizes kept in the index. Any offset and limit on
+ * this query are applied to the list of groups.
+ * <code>
+ *     table.findWhere("population", ">", 1000000).groupBy("region").sum("population");
+ * </code>
+ * @param {String|Array} columnName The columns to group by, either as an
+ *     array or as separate arguments.
+ * @return {DataTable.Grouping}
+ */
+DataTable.Query.prototype.groupBy = function(columnName) {
+    this.table._.active();
+    var columnNames = newArray.apply(null, columnName instanceof Array ? columnName : arguments);
+    checkColumnNames(columnNames, this.table._.columnNames);
+    return new DataTable.Grouping(this, columnNames);
+};
+
+/**
+ * Joins the rows matched by this query with the rows of another table
+ * having the same value in a join column. See DataTable.Join.
+ * <code>
+ *     states.findWhere("region", "==", "Pacific").join(cities, "abbr", "state").getRows();
+ *     // [{outer: {name: "Alaska", ...}, inner: {name: "Juneau", state: "AK", ...}}, ...]
+ * </code>
+ * @param {DataTable|DataTable.Query} inner The table to join with, or a
+ *     query on it to join with only the rows it matches
+ * @param {String} columnName The join column of this query's table
+ * @param {String} innerColumnName The join column of the inner table
+ *     (optional, defaults to columnName)
+ * @param {String} type "inner", "left" or "semi" (optional, default
+ *     "inner")
+ * @return {DataTable.Join}
+ */
+DataTable.Query.prototype.join = function(inner, columnName, innerColumnName, type) {
+    this.table._.active();
+    return new DataTable.Join(this, inner, columnName, innerColumnName || columnName, type || "inner");
+};
+
+/**
+ * Lists the distinct values of a column in the rows matched by this query,
+ * with the number of rows having each value. Values are listed in sorted
+ * order; null and undefined values are listed last. When an index begins
+ * with the column, the values and counts are read from that index's
+ * entries. Any offset and limit on this query are applied to the list of
+ * values.
+ * @param {String} columnName
+ * @return {Array} a list of {value, count} objects
+ */
+DataTable.Query.prototype.distinct = function(columnName) {
+    this.table._.active();
+    checkColumnNames([columnName], this.table._.columnNames);
+    return findGroups(this, newArray(columnName)).collect(function(group) {
+        return { value: group.key[columnName], count: group.size };
+    });
+};
+
+/**
+ * Adds the values of a column in the rows matched by this query. Null and
+ * undefined values are skipped.
+ * @param {String} columnName
+ * @return {Number} the sum, or 0 if no rows have a value.
+ */
+DataTable.Query.prototype.sum = function(columnName) {
+    return sumValues(collectValues(this, columnName));
+};
+
+/**
+ * Averages the values of a column in the rows matched by this query. Null
+ * and undefined values are skipped.
+ * @param {String} columnName
+ * @return {Number} the average, or null if no rows have a value.
+ */
+DataTable.Query.prototype.avg = function(columnName) {
+    return averageValues(collectValues(this, columnName));
+};
+
+/**
+ * Finds the least value of a column in the rows matched by this query. Null
+ * and undefined values are skipped. When an index is ordered by the column,
+ * the value is read from the first matching index entry.
+ * @param {String} columnName
+ * @return the least value, or null if no rows have a value.
+ */
+DataTable.Query.prototype.min = function(columnName) {
+    return findExtreme(this, columnName, false);
+};
+
+/**
+ * Finds the greatest value of a column in the rows matched by this query.
+ * Null and undefined values are skipped. When an index is ordered by the
+ * column, the value is read from the last matching index entry.
+ * @param {String} columnName
+ * @return the greatest value, or null if no rows have a value.
+ */
+DataTable.Query.prototype.max = function(columnName) {
+    return findExtreme(this, columnName, true);
+};
+
+/**
+ * @constructor Builds a new Grouping. Groupings are obtained from
+ *     DataTable.Query.groupBy() rather than being constructed directly.
+ * <p>
+ * Each method returns an array with one object per group. The key property
+ * of each object holds the grouped column values, e.g. {region: "West"}.
+ * @param {DataTable.Query} query The query matching the rows to group
+ * @param {Array} columnNames The columns to group by
+ */
+DataTable.Grouping = function(query, columnNames) {
+    this.query = query;
+    this.columnNames = columnNames;
+};
+
+/**
+ * Returns the rows in each group, as {key, rows}. The rows are cloned and
+ * ordered according to the query.
+ */
+DataTable.Grouping.prototype.getRows = function() {
+    var query = this.query;
+    var table = query.table;
+    var copy = query.columns ? getProjection(table, query.columns) : table._.clone;
+    return aggregateGroups(this, "rows", function(group) {
+        var rows = query.order.length ? sortRows(table, group.rows(), query.order) : group.rows();
+        return rows.collect(copy);
+    });
+};
+
+/**
+ * Counts the rows in each group, as {key, count}. When the groups are read
+ * from an index, no rows are visited.
+ */
+DataTable.Grouping.prototype.count = function() {
+    return aggregateGroups(this, "count", function(group) { return group.size; });
+};
+
+/**
+ * Adds the values of a column in each group, as {key, sum}.
+ * @param {String} columnName
+ */
+DataTable.Grouping.prototype.sum = function(columnName) {
+    checkColumnNames([columnName], this.query.table._.columnNames);
+    return aggregateGroups(this, "sum", function(group) { return sumValues(pluckValues(group.rows(), columnName)); });
+};
+
+/**
+ * Averages the values of a column in each group, as {key, avg}.
+ * @param {String} columnName
+ */
+DataTable.Grouping.prototype.avg = function(columnName) {
+    checkColumnNames([columnName], this.query.table._.columnNames);
+    return aggregateGroups(this, "avg", function(group) { return averageValues(pluckValues(group.rows(), columnName)); });
+};
+
+/**
+ * Finds the least value of a column in each group, as {key, min}.
+ * @param {String} columnName
+ */
+DataTable.Grouping.prototype.min = function(columnName) {
+    checkColumnNames([columnName], this.query.table._.columnNames);
+    var comparator = columnComparator(this.query.table, columnName);
+    return aggregateGroups(this, "min", function(group) {
+        return cloneValue(extremeValue(pluckValues(group.rows(), columnName), false, comparator));
+    });
+};
+
+/**
+ * Finds the greatest value of a column in each group, as {key, max}.
+ * @param {String} columnName
+ */
+DataTable.Grouping.prototype.max = function(columnName) {
+    checkColumnNames([columnName], this.query.table._.columnNames);
+    var comparator = columnComparator(this.query.table, columnName);
+    return aggregateGroups(this, "max", function(group) {
+        return cloneValue(extremeValue(pluckValues(group.rows(), columnName), true, comparator));
+    });
+};
+
+/**
+ * @constructor Builds a new Cursor. Cursors are obtained from
+ *     DataTable.Query.cursor() rather than being constructed directly.
+ * <p>
+ * Where the environment supports them, cursors are also ES iterables, so
+ * they may be used in for...of loops and spread into arrays.
+ * @param {DataTable} table The table the rows belong to
+ * @param {Array} rows The original rows to read
+ * @param {Function} copy The function cloning or projecting each row read
+ */
+DataTable.Cursor = function(table, rows, copy) {
+    this.table = table;
+    this._ = { rows: rows, position: 0, copy: copy, modifications: table._.modifications };
+};
+
+/**
+ * @return true if there are more rows to read
+ */
+DataTable.Cursor.prototype.hasNext = function() {
+    checkCursorTable(this);
+    return this._.position < this._.rows.length;
+};
+
+/**
+ * Reads the next row. The returned row is cloned and suitable for
+ * manipulation, then may be passed back to update().
+ */
+DataTable.Cursor.prototype.next = function() {
+    if (!this.hasNext()) throw new Error("No more rows");
+    return this._.copy(this._.rows[this._.position++]);
+};
+
+/**
+ * Reads each remaining row.
+ * @param {Function} f Called with each row and its position in the
+ *     cursor's rows. Returning false stops reading, leaving the remaining
+ *     rows unread.
+ * @param ctx The object f is called on (optional)
+ */
+DataTable.Cursor.prototype.forEach = function(f, ctx) {
+    while (this.hasNext()) {
+        var position = this._.position;
+        if (f.call(ctx, this.next(), position) === false) break;
+    }
+};
+
+if (typeof Symbol == "function" && Symbol.iterator) {
+    /**
+     * @return {Object} an ES iterator reading the remaining rows of this
+     *     cursor
+     */
+    DataTable.Cursor.prototype[Symbol.iterator] = function() {
+        var self = this;
+        return {
+            next: function() {
+                return self.hasNext() ? { value: self.next(), done: false } : { value: void(0), done: true };
             }
         };
-        self._.rows.push(row);
-        return row;
-    });
-    if (self._.verbose)  {
-        log("inserted " + result.length + " row(s):\n\t" + result.collect(function(r) {
-            return toJSON(r);
-        }).join("\n\t"));
-    }
-    self._.indicies.each(function(i) { i.rowsAdded(result); });
-    if (self._.paranoia) self.validateIndex();
-    return result.collect(this._.clone);
+    };
+}
+
+/**
+ * @constructor Builds a new Join. Joins are obtained from DataTable.join()
+ *     or DataTable.Query.join() rather than being constructed directly.
+ * <p>
+ * An inner join pairs each outer row with every inner row having the same
+ * join column value. A left join also keeps outer rows without a matching
+ * inner row, paired with null. A semi join returns each outer row having at
+ * least one matching inner row, once. Null and undefined values never
+ * match.
+ * <p>
+ * Paired rows are returned as objects holding the outer and inner rows
+ * under the names set by as(), or "outer" and "inner" by default, unless a
+ * projection is set by select(). Rows are ordered by the outer query, then
+ * by the inner query. The outer query's offset and limit apply to the outer
+ * rows.
+ * <p>
+ * When the inner table has an index beginning with the inner join column,
+ * each outer row's matches are looked up in that index. Otherwise the inner
+ * rows are matched once and hashed by their join column value, or sorted by
+ * it when the inner column has its own comparator.
+ * @param {DataTable.Query} query The query matching the outer rows
+ * @param {DataTable|DataTable.Query} inner The inner table, or a query on it
+ * @param {String} columnName The join column of the outer table
+ * @param {String} innerColumnName The join column of the inner table
+ * @param {String} type "inner", "left" or "semi"
+ */
+DataTable.Join = function(query, inner, columnName, innerColumnName, type) {
+    if (inner instanceof DataTable) inner = new DataTable.Query(inner);
+    if (!(inner instanceof DataTable.Query)) throw new Error("Expected a DataTable or DataTable.Query to join with");
+    if (isPaged(inner.page)) throw new Error("A paged query may not be joined with.");
+    checkColumnNames([columnName], query.table._.columnNames);
+    checkColumnNames([innerColumnName], inner.table._.columnNames);
+    type = type.toLowerCase();
+    if (!/^(inner|left|semi)$/.test(type)) throw new Error("Unknown join type: " + type);
+    this.query = query;
+    this.inner = inner;
+    this.outerColumn = columnName;
+    this.innerColumn = innerColumnName;
+    this.type = type;
+    this._ = { names: ["outer", "inner"], projection: null };
 };
 
 /**
- * Removes rows from this table
- * @param {Array} rows
+ * Sets the names under which the outer and inner rows of each pair are
+ * returned.
+ * @param {String} outerName
+ * @param {String} innerName
  */
-DataTable.prototype.remove = function(rows) {
-    var self = this;
-    self._.active();
-    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray.apply(null,rows);
-    var origRows = rows.collect(function(r) {
-        checkTableIdentity(self, r.$(ROW_META_DATA.TABLE_ID));
-        return r.$();
-    });
-    self._.indicies.each(function(i) { i.rowsRemoved(origRows); });
-    origRows.each(function(row) {
-        if (self._.rows.length > 1) {
-            var last = self._.rows.last();
-            if (row != last) {
-                var indexToOverwrite = row.$(ROW_META_DATA.INDEX);
-                self._.rows[indexToOverwrite] = last;
-                last.$(ROW_META_DATA.INDEX, indexToOverwrite);
-            }
-        }
-        self._.rows.length--;
-        delete row.$;
-    });
-    rows.each(function(r) { delete r.$; });
-    if (self._.verbose)  {
-        log("removed " + rows.length + " row(s):\n\t" + rows.collect(function(r) {
-            return toJSON(r);
-        }).join("\n\t"));
+DataTable.Join.prototype.as = function(outerName, innerName) {
+    if (!outerName || !innerName || outerName == innerName) {
+        throw new Error("Expected two different names: " + outerName + ", " + innerName);
     }
-    if (self._.paranoia) self.validateIndex();
+    this._.names = [outerName, innerName];
+    return this;
 };
 
 /**
- * Updates rows that were obtained from this table
- * @param {Array} rows
+ * Sets a projection building each returned row from a pair of rows.
+ * <code>
+ *     states.join(cities, "abbr", "state").select(function(state, city) {
+ *         return { city: city.name, state: state.name };
+ *     }).getRows();
+ * </code>
+ * @param {Function} projection Called with the outer row and the inner
+ *     row, which is null for unmatched rows of a left join and for semi
+ *     joins. The rows are clones, projected onto the columns selected by
+ *     each query.
  */
-DataTable.prototype.update = function(rows) {
-    var self = this;
-    self._.active();
-    var changedColumns = {};
-    rows = (rows && rows.constructor === Array) ? extend(rows.concat(), ary) : newArray(rows);
-    rows = rows.findAll(function(r) {
-        checkTableIdentity(self, r.$(ROW_META_DATA.TABLE_ID));
-        return self._.markChangedColumns(r, r.$(), changedColumns);
-    });
-    var oldRows = rows.collect(function(r) { return r.$(); });
-    if (rows.length == 0) return;
-    self._.indicies.each(function(i) {
-        if (i.columns.any(function(column) { return Boolean(changedColumns[column.name]); })) {
-            i.rowsRemoved(oldRows);
-            if (self._.paranoia) i.validateIndex();
-            i.rowsAdded(rows);
-            if (self._.paranoia) i.validateIndex();
-        }
-    });
-    rows.each(function(r) {
-        var newRow = self._.clone(r);
-        newRow.$(ROW_META_DATA.ORIGINAL, newRow);
-        self._.rows[r.$(ROW_META_DATA.INDEX)] = newRow;
-    });
-    if (self._.verbose)  {
-        var cols = 0;
-        for (var k in changedColumns) if (changedColumns.hasOwnProperty(k)) ++cols;
-        log("updated " + rows.length + " row(s), touching " + cols + " column(s):\n\t" +
-            rows.collect(function(r) {
-            return toJSON(r);
-        }).join("\n\t"));
-    }
+DataTable.Join.prototype.select = function(projection) {
+    if (typeof projection != "function") throw new Error("Expected a projection function: " + projection);
+    this._.projection = projection;
+    return this;
 };
 
 /**
- * Finds rows in this table matching the specified criteria
- * @param {String} columnName The column to test
- * @param {String} operator One of the following:
- *     <, <=, ==, >=, >, !=, between, in
- * @param {String|Number|Boolean|Range|Array} value
- *     Range is used for "between" operations
- *     Array is used for "in" operations
- */
-DataTable.prototype.findWhere = function(columnName, operator, value) {
+ * Returns the joined rows. See DataTable.Join.
+ */
+DataTable.Join.prototype.getRows = function() {
     var self = this;
-    self._.active();
-    function checkOperatorAndValue(op) {
-        if (!/^([=!<>]=|[<>]|between|in)$/.test(op)) throw new Error("Unknown operator: " + op);
-    }
-    operator = operator.toLowerCase();
-    checkColumnNames([columnName], self._.columnNames);
-    checkOperatorAndValue(operator, value);
-    var criteria = newArray({columnName:columnName, operator:operator, value:value});
-    return {
-        /**
-         * Further narrows rows in this table matching the specified criteria
-         * @param {String} columnName The column to test
-         * @param {String} operator One of the following:
-         *     <, <=, ==, >=, >, !=, between, in
-         * @param {String|Number|Boolean|Range|Array} value
-         *     Range is used for "between" operations
-         *     Array is used for "in" operations
-         */
-        and: function(columnName, operator, value) {
-            self._.active();
-            operator = operator.toLowerCase();
-            checkColumnNames([columnName], self._.columnNames);
-            checkOperatorAndValue(operator, value);
-            criteria.push({columnName:columnName, operator:operator, value:value});
-            return this;
-        },
-        /**
-         * Processes the accumulated criteria and applies it to the data in
-         * this table. The returned rows are cloned and suitable for
-         * manipulation, then may be passed back to update().
-         */
-        getRows: function() {
-            self._.active();
-            var worstCase = {
-                cost: self._.rows.length * calculateSingleRowCriteriaCost(criteria),
-                criteriaUnused: criteria,
-                reduce: function() { return self._.rows; },
-                indexSignature: "<table scan>"
-            };
-            var verbose = self._.verbose;
-            if (verbose) {
-                log("Analysis of (" + criteria.collect(function(c) {
-                    return [c.columnName,c.operator,toJSON(c.value)].join(" ");
-                }).join(" AND ") + "):");
-                log("\t" + worstCase.indexSignature + ": cost=" + worstCase.cost);
-            }
-            var bestCase = self._.indicies.inject(worstCase, function(bestCase, index) {
-                var thisCase = index.computeCost(criteria);
-                if (verbose) log("\t" + thisCase.indexSignature + ": cost=" + thisCase.cost);
-                return (bestCase.cost > thisCase.cost) ? thisCase : bestCase;
-            });
-            if (verbose) log("Using " + bestCase.indexSignature);
-            var matchedRows = bestCase.reduce();
-            if (bestCase.criteriaUnused.length) {
-                if (verbose) {
-                    log("Applying remaining criteria on " + matchedRows.length + " row(s): (" +
-                        bestCase.criteriaUnused.collect(function(c) {
-                        return [c.columnName,c.operator,toJSON(c.value)].join(" ");
-                    }).join(" AND ") + ")\n  " + matchedRows.collect(function(r) {
-                        return toJSON(r);
-                    }).join("\n  "));
-                }
-                bestCase.criteriaUnused.each(function (criterion) {
-                    var comparator = DataTable.Comparator;
-                    var include = null;
-                    switch (criterion.operator) {
-                        case "==": include = function(value) { return comparator(value, criterion.value) == 0; }; break;
-                        case "!=": include = function(value) { return comparator(value, criterion.value) != 0; }; break;
-                        case "<=": include = function(value) { return comparator(value, criterion.value) <= 0; }; break;
-                        case "<" : include = function(value) { return comparator(value, criterion.value) <  0; }; break;
-                        case ">=": include = function(value) { return comparator(value, criterion.value) >= 0; }; break;
-                        case ">" : include = function(value) { return comparator(value, criterion.value) >  0; }; break;
-                        case "between":
-                        case "in":
-                            var value = criterion.value instanceof DataTable.Set
-                                        ? criterion.value
-                                        : (criterion.value instanceof Array
-                                          ? new DataTable.Set(criterion.value)
-                                          : criterion.value);
-                            include = bind(value.include, value); break;
-                    }
-                    matchedRows = matchedRows.findAll(function(row) { return include(row[criterion.columnName]); });
-                });
-            }
-            if (verbose)  {
-                log("found " + matchedRows.length + " row(s):\n\t" + matchedRows.collect(function(r) {
-                    return toJSON(r);
-                }).join("\n\t"));
-            }
-            return matchedRows.collect(function(r) { return self._.clone(r); });
+    var outer = self.query, inner = self.inner;
+    var copyOuter = outer.columns ? getProjection(outer.table, outer.columns) : outer.table._.clone;
+    var copyInner = inner.columns ? getProjection(inner.table, inner.columns) : inner.table._.clone;
+    var names = self._.names, projection = self._.projection;
+    var results = newArray();
+    joinRows(self, function(outerRow, innerRow) {
+        outerRow = copyOuter(outerRow);
+        innerRow = innerRow && copyInner(innerRow);
+        if (projection) {
+            results.push(projection(outerRow, innerRow));
+        } else if (self.type == "semi") {
+            results.push(outerRow);
+        } else {
+            var result = {};
+            result[names[0]] = outerRow;
+            result[names[1]] = innerRow;
+            results.push(result);
         }
-    };
+    });
+    if (outer.table._.verbose) log("joined " + results.length + " row(s)");
+    return results;
 };
 
 /**
- * Remove this table breaks down data structures for easier garbage
- * collection. Any further calls to this table or any row or data structure
- * associated with it will throw an error.
+ * Counts the joined rows, without cloning them.
  */
-DataTable.prototype.drop = function() {
-    this._.active();
-    this._.active = function() { throw new Error("Table has been dropped"); };
+DataTable.Join.prototype.count = function() {
+    var count = 0;
+    joinRows(this, function() { ++count; });
+    return count;
 };
 
 /**
- * Returns all rows in this table. The returned rows are cloned and
- * suitable for manipulation, then may be passed back to update().
+ * @constructor Builds a new Subquery, finding the values of an "in" or "not
+ *     in" criterion in a column of another query's rows. Subqueries are
+ *     built by passing a DataTable or DataTable.Query as the value of such a
+ *     criterion:
+ * <code>
+ *     var pacific = states.findWhere("region", "==", "Pacific");
+ *     cities.findWhere("state", "in", pacific, "abbr").getRows();
+ * </code>
+ * The values are not found until the criterion is applied, and are found
+ * again if the subquery's table has changed since. Until then, the cost of
+ * the criterion is estimated from the cost and expected rows of the
+ * subquery's plan. Null and undefined values found by the subquery are
+ * skipped, so rows with a null value are never "in" a subquery. A query
+ * passed is copied, so narrowing it afterwards does not change the
+ * subquery.
+ * @param {DataTable|DataTable.Query} source The table or query to find the
+ *     values in
+ * @param {String} columnName The column to find the values in (optional if
+ *     the query selects a single column)
  */
-DataTable.prototype.getRows = function() {
-    this._.active();
-    return this._.rows.collect(this._.clone);
+DataTable.Subquery = function(source, columnName) {
+    var query = new DataTable.Query(source instanceof DataTable ? source : source.table);
+    if (source instanceof DataTable.Query) {
+        query.criteria = query._.branch = copyCriteria(source.criteria);
+        query.order = extend(source.order.concat(), ary);
+        query.columns = source.columns && extend(source.columns.concat(), ary);
+        query.page = { offset: source.page.offset, limit: source.page.limit };
+    }
+    if (columnName == null) {
+        if (!query.columns || query.columns.length != 1) throw new Error("No column specified for the subquery's values");
+        columnName = query.columns[0];
+    }
+    checkColumnNames([columnName], query.table._.columnNames);
+    this.query = query;
+    this.columnName = columnName;
+    this._ = { modifications: null, values: null, hash: null, estimated: null, estimate: null };
 };
 
 /**
- * Returns the number of rows in this table.
+ * Finds the distinct values of this subquery, in the order of the rows
+ * they were found in. Null and undefined values are skipped.
+ * @return {Array}
  */
-DataTable.prototype.getCount = function() {
-    this._.active();
-    return this._.rows.length;
+DataTable.Subquery.prototype.values = function() {
+    var self = this;
+    var table = self.query.table;
+    table._.active();
+    if (self._.modifications !== table._.modifications) {
+        if (table._.verbose) log("Finding the values of " + toJSON(self));
+        var hash = {};
+        var values = newArray();
+        matchRows(table, self.query.criteria, self.query.order, self.query.page).each(function(row) {
+            var value = row[self.columnName];
+            if (value == null) return;
+            var key = toJSON(value);
+            if (!hash.hasOwnProperty(key)) {
+                hash[key] = true;
+                values.push(value);
+            }
+        });
+        self._.modifications = table._.modifications;
+        self._.values = values;
+        self._.hash = hash;
+    }
+    return self._.values;
 };
 
 /**
- * Utility method that validates all indexes on the table. This routine is
- * used for testing.
+ * @return {Object} an object having a property for each value of this
+ *     subquery, named by its JSON representation
  */
-DataTable.prototype.validateIndex = function() {
-    this._.active();
-    this._.indicies.each(function(ix) { ix.validateIndex(); });
+DataTable.Subquery.prototype.hash = function() {
+    this.values();
+    return this._.hash;
 };
 
 /**
- * Enables paranoia mode to check the integrity of all indexes every time
- * data is modified.
- * @param {Boolean} enable (optional)
+ * Estimates the cost of finding the values of this subquery, and the
+ * number of values found, without finding them.
+ * @return {Object} an object having cost and expectedRows properties
  */
-DataTable.prototype.paranoia = function(enable) {
-    this._.active();
-    if (arguments.length == 0) return this._.paranoia;
-    this._.paranoia = Boolean(enable);
+DataTable.Subquery.prototype.estimate = function() {
+    var query = this.query;
+    var table = query.table;
+    table._.active();
+    var signature = table._.modifications + ":" + table._.indicies.length;
+    if (this._.estimated !== signature) {
+        var estimate = expandCriteria(query.criteria).inject({ cost: 0, expectedRows: 0 }, function(estimate, branch) {
+            var plan = cheapestPlan(listPlans(table, branch, query.order));
+            estimate.cost += plan.cost;
+            estimate.expectedRows += Math.ceil(plan.expectedRows * estimateSelectivity(plan.criteriaUnused));
+            return estimate;
+        });
+        if (query.page.limit != null) estimate.expectedRows = Math.min(estimate.expectedRows, query.page.limit);
+        this._.estimated = signature;
+        this._.estimate = estimate;
+    }
+    return this._.estimate;
+};
+
+DataTable.Subquery.prototype.toJSON = function() {
+    var criteria = this.query.criteria.collect(criterionToString).join(" AND ");
+    return "(select " + this.columnName + (criteria ? " where " + criteria : "") + ")";
 };
 
 /**
- * Enables verbose mode to log insert, update, delete and find operations
- * to the console.
- * @param {Boolean} enable (optional)
+ * @constructor Builds a new Param, a placeholder for a value in a prepared
+ *     statement. Params are normally obtained from DataTable.param().
+ *     A query holding a placeholder throws an Error when it is executed
+ *     other than through DataTable.Statement.execute().
+ * @param {String|Number} name The name or position of the value in the
+ *     parameters passed to DataTable.Statement.execute()
  */
-DataTable.prototype.verbose = function(enable) {
-    this._.active();
-    if (arguments.length == 0) return this._.verbose;
-    this._.verbose = Boolean(enable);
+DataTable.Param = function(name) {
+    this.name = name;
+};
+
+DataTable.Param.prototype.toJSON = function() {
+    return ":" + this.name;
 };
 
 /**
- * Override the logging mechanism, for demonstration purposes only.
- * @param logger
+ * Builds a placeholder for a value in a prepared statement. See
+ * DataTable.prepare().
+ * @param {String|Number} name The name or position of the value in the
+ *     parameters passed to DataTable.Statement.execute()
+ * @return {DataTable.Param}
  */
-DataTable.logger = function(logger) {
-    if (arguments.length == 0) return log; else log = logger || function(){};
+DataTable.param = function(name) {
+    return new DataTable.Param(name);
 };
 
 /**
- * A basic comparator function compatible with Array.sort(). Null/undefined
- * values are pushed to the end of the sorted collection.
- * @param l
- * @param r
- * @return -1, 0, or 1, if the left value is less than, equal, or greater than
- *     the right value.
+ * The factor by which the number of rows in a table must grow or shrink
+ * before a prepared statement chooses its indexes again.
  */
-DataTable.Comparator = function(l,r) { return l == r ? 0 : l == null || l > r ? 1 : -1; };
+var REPLAN_FACTOR = 2;
 
 /**
- * Extends the basic comparator by plucking properties from the left and/or
- * right side object values.
- * <p>
- * If only one argument is specified, the same name will be plucked from both
- * left and right value object when performing the comparison. If no arguments
- * are specified, or both have no value, CA.DataTable.Comparator is returned.
- * @param {String} lName The name to pluck from the left side, or null to
- *     compare the left value directly.
- * @param {String} rName The name to pluck from the right side, or null to
- *     compare the right value directly.
- * @return A comparator function suitable for use with Array.sort().
+ * @constructor Builds a new Statement. Statements are normally obtained from
+ *     DataTable.prepare() rather than being constructed directly.
+ * @param {DataTable.Query} query The query to execute, which may contain
+ *     placeholders
  */
-DataTable.Comparator.pluck = function(lName, rName) {
-    if (arguments.length == 1) rName = lName;
-    if (lName && rName) return function(l, r) { return DataTable.Comparator(l[lName], r[rName]); };
-    else if (lName) return function(l, r) { return DataTable.Comparator(l[lName], r); };
-    else if (rName) return function(l, r) { return DataTable.Comparator(l, r[rName]); };
-    else return DataTable.Comparator;
+DataTable.Statement = function(query) {
+    this.query = query;
+    this._ = { indicies: null, rowCount: 0, chosen: null };
+};
+
+/**
+ * Executes this statement with values in place of its placeholders. The
+ * returned rows are cloned and suitable for manipulation, then may be
+ * passed back to update(), as with DataTable.Query.getRows().
+ * @param {Object|Array} params The values of named placeholders by name,
+ *     or of positional placeholders by position
+ */
+DataTable.Statement.prototype.execute = function(params) {
+    var self = this;
+    var query = self.query;
+    var table = query.table;
+    table._.active();
+    var criteria = bindCriteria(table, query.criteria, params);
+    var rowCount = table._.rows.length;
+    var replan = !self._.indicies || self._.indicies.length != table._.indicies.length ||
+                 rowCount > self._.rowCount * REPLAN_FACTOR || rowCount * REPLAN_FACTOR < self._.rowCount;
+    for (var i = 0; !replan && i < self._.indicies.length; ++i) replan = self._.indicies[i] !== table._.indicies[i];
+    if (replan) {
+        self._.indicies = table._.indicies.concat();
+        self._.rowCount = rowCount;
+        self._.chosen = newArray();
+    }
+    var matchedRows = matchRows(table, criteria, query.order, query.page, null, function(branch, i, order) {
+        if (i < self._.chosen.length) {
+            var index = self._.chosen[i];
+            if (table._.verbose) log("Using cached " + (index ? index.signature : "<table scan>"));
+            return buildPlan(table, index, branch, order);
+        }
+        var bestCase = chooseIndex(table, branch, order);
+        self._.chosen[i] = bestCase.index;
+        return bestCase;
+    });
+    if (table._.verbose) log("found " + matchedRows.length + " row(s)");
+    return matchedRows.collect(query.columns ? getProjection(table, query.columns) : table._.clone);
 };
 
 /**
  * @constructor Builds a new Index
- * @param {Array} columnNames A list of column names to build an index for.
+ * @param {Array} columnNames A list of column names to build an index for,
+ *     each prefixed with "-" if the column is descending.
  */
 DataTable.Index = function(table, columnNames) {
     var self = this;
     self.table = table;
-    self.columns = extend(columnNames, ary).collect(function(cn) {
-        return {
-            name: cn,
-            comparator: DataTable.Comparator.pluck(cn)
-        };
-    });
+    self.columnNames = extend(columnNames.concat(), ary);
+    self.columns = buildIndexColumns(table, columnNames);
     self.signature = buildIndexSignature(columnNames);
     self.index = newArray();
     self.index.total = 0;
@@ -701,11 +3649,21 @@ DataTable.Index = function(table, columnNames) {
  *     {Number} cost: expressed as an estimate of the number of loop
  *         iterations or criteria tests required to fully match the passed
  *         criteria.
+ *     {Number} expectedRows: the estimated number of rows matched.
+ *     {Array} criteriaUsed: An array of criteria applied by reduce().
  *     {Array} criteriaUnused: An array of criteria that will still need to
  *         be applied to the rows returned from reduce().
  *     {Function} reduce: A function that will execute the related criteria
  *         and return a reduced row set. This row set will need to be
  *         filtered by any criteria in unusedCriteria.
+ *     {Function} count: A function that will count the rows in the reduced
+ *         row set without visiting them.
+ *     {Function} scan: A function that will visit the rows in the reduced
+ *         row set in index order, optionally reversed, without collecting
+ *         them.
+ *     {Function} entries: A function that will list the index entries of
+ *         a column in the reduced row set.
+ *     {DataTable.Index} index: This index.
  *     {String} indexName: A human readable list of the columns used in
  *         this index. Used primarily in troubleshooting.
  */
@@ -718,10 +3676,16 @@ DataTable.Index.prototype.computeCost = function(criteria) {
     var criteriaUnused = criteria;
     var costIncludesChildren = false;
     var subindex = self.index;
-    var compareValues = DataTable.Comparator.pluck("value", null);
     this.columns.each(function(column) {
-        var criterion = criteria.find(function(c) { return c.columnName == column.name; });
-        if (!criterion) throw _$break;
+        var used = criteria.find(function(c) {
+            return c.columnName == column.name && isIndexable(c) &&
+                   // prefix ranges follow the default ordering only
+                   (columnComparator(self.table, column.name) === DataTable.Comparator || (c.operator != "startswith" && c.operator != "like"));
+        });
+        if (!used) throw _$break;
+        checkBound(used.value);
+        var criterion = column.descending ? mirrorCriterion(used) : used;
+        var compareValues = DataTable.Comparator.pluck("value", null, column.compare);
         var log2Cost = simpleLog2Cost(subindex.length);
         cost += log2Cost;
         if (!costIncludesChildren && expectedRows > 0) {
@@ -790,33 +3754,86 @@ DataTable.Index.prototype.computeCost = function(criteria) {
                     costIncludesChildren = true;
                     break;
                 case "between": // value is a Range
+                case "not between":
+                case "startswith": // value is a prefix, matched as a range
+                case "like":
+                    var range = criterionRange(criterion);
                     cost += log2Cost; // cost for the second binary search
-                    entry = getIndexEntry(criterion.value.start, matchAfter);
+                    entry = getIndexEntry(range.start, matchAfter);
                     expectedRows = 0 - entry.subtotal;
                     matchedIndexCount = 0 - matchedIndex;
-                    entry = getIndexEntry(criterion.value.end, matchAfter);
-                    expectedRows += entry.subtotal - (foundExactMatch || criterion.value.exclusive ? entry.size : 0);
-                    matchedIndexCount += matchedIndex + (foundExactMatch || criterion.value.exclusive ? 1 : 0);
+                    entry = getIndexEntry(range.end, matchAfter);
+                    expectedRows += entry.subtotal - (foundExactMatch || range.exclusive ? entry.size : 0);
+                    matchedIndexCount += matchedIndex + (foundExactMatch || range.exclusive ? 1 : 0);
+                    if (criterion.operator == "not between") {
+                        // the slices before and after the range
+                        expectedRows = subindex.total - expectedRows;
+                        matchedIndexCount = subindex.length - matchedIndexCount;
+                    }
                     costIncludesChildren = true;
                     break;
-                case "in": // value is an array or possible values
-                    if (criterion.value.length == 1) {
+                case "in": // value is an array or possible values, or a subquery finding them
+                    var valueCount = countValues(criterion);
+                    if (criterion.value.length == 1 && !(criterion.value instanceof DataTable.Subquery)) {
                         // one entry, same logic as "=="
                         entry = getIndexEntry(criterion.value[0], matchExact);
                         expectedRows = foundExactMatch ? entry.size : 0;
                         matchedIndexCount = (foundExactMatch) ? 1 : 0;
                     } else {
-                        cost += log2Cost * (simpleLog2Cost(criterion.value.length) - 1); // adjust for the number of entries to match
+                        cost += log2Cost * (simpleLog2Cost(valueCount) - 1); // adjust for the number of entries to match
                         if (subindex.length > 0) {
-                            expectedRows = Math.min(subindex.total, Math.ceil((criterion.value.length * subindex.total) / subindex.length));
+                            expectedRows = Math.min(subindex.total, Math.ceil((valueCount * subindex.total) / subindex.length));
                         } else {
                             expectedRows = 0;
                         }
-                        matchedIndexCount = criterion.value.length;
+                        matchedIndexCount = Math.min(valueCount, subindex.length);
+                        costIncludesChildren = true;
+                    }
+                    break;
+                case "isnull": // the null entry, if any, is always last, or first when descending
+                    entry = nullEntryOf(subindex, column.descending);
+                    foundExactMatch = Boolean(entry);
+                    expectedRows = foundExactMatch ? entry.size : 0;
+                    matchedIndexCount = foundExactMatch ? 1 : 0;
+                    break;
+                case "isnotnull": // every entry but the null entry
+                    entry = nullEntryOf(subindex, column.descending);
+                    expectedRows = subindex.total - (entry ? entry.size : 0);
+                    matchedIndexCount = subindex.length - (entry ? 1 : 0);
+                    costIncludesChildren = true;
+                    break;
+                case "not in": // value is an array of excluded values, same logic as "!=" for each
+                    if (criterion.value instanceof DataTable.Subquery) {
+                        // the excluded values are not known until the subquery is executed
+                        var excludedCount = countValues(criterion);
+                        cost += log2Cost * Math.max(0, excludedCount - 1);
+                        expectedRows = subindex.length > 0 ? Math.max(0, Math.floor(subindex.total - (excludedCount * subindex.total) / subindex.length)) : 0;
+                        matchedIndexCount = Math.max(0, subindex.length - excludedCount);
                         costIncludesChildren = true;
+                        break;
                     }
+                    cost += log2Cost * Math.max(0, criterion.value.length - 1); // one binary search for each excluded value
+                    expectedRows = subindex.total;
+                    matchedIndexCount = subindex.length;
+                    distinctValues(extend(criterion.value, ary), column.compare).each(function(value) {
+                        entry = getIndexEntry(value, matchExact);
+                        if (foundExactMatch) {
+                            expectedRows -= entry.size;
+                            matchedIndexCount--;
+                        }
+                    });
+                    costIncludesChildren = true;
                     break;
             }
+            if (ORDERED_OPERATORS[used.operator] || used.operator == "not between") {
+                // the null entry is never matched by a comparison or a range, and always by "not between"
+                var nullEntry = nullEntryOf(subindex, column.descending);
+                var spanned = Boolean(nullEntry) && spansNullEntry(used, columnComparator(self.table, column.name));
+                if (nullEntry && spanned == Boolean(ORDERED_OPERATORS[used.operator])) {
+                    expectedRows = Math.max(0, expectedRows + (spanned ? -nullEntry.size : nullEntry.size));
+                    matchedIndexCount = Math.max(0, matchedIndexCount + (spanned ? -1 : 1));
+                }
+            }
             cost += expectedRows;
             if (costIncludesChildren || entry == null) {
                 subindex = { length: matchedIndexCount, total: expectedRows };
@@ -826,10 +3843,12 @@ DataTable.Index.prototype.computeCost = function(criteria) {
         } else if (expectedRows > 0) {
             switch (criterion.operator) {
                 case "==":
+                case "isnull":
                     expectedRows = Math.ceil(subindex.total / subindex.length);
                     matchedIndexCount = expectedRows;
                     break;
                 case "!=":
+                case "isnotnull":
                     expectedRows = subindex.total - Math.ceil(subindex.total / subindex.length);
                     matchedIndexCount = expectedRows;
                     break;
@@ -844,44 +3863,69 @@ DataTable.Index.prototype.computeCost = function(criteria) {
                     matchedIndexCount = Math.floor(subindex.length * 0.667);
                     break;
                 case "between":
+                case "startswith":
+                case "like":
                     expectedRows = Math.ceil(subindex.total * 0.333);
                     matchedIndexCount = Math.ceil(subindex.length * 0.333);
                     break;
+                case "not between":
+                    expectedRows = Math.floor(subindex.total * 0.667);
+                    matchedIndexCount = Math.floor(subindex.length * 0.667);
+                    break;
                 case "in":
-                    if (criterion.value.length == 1) {
+                    var valueCount = countValues(criterion);
+                    if (valueCount == 1) {
                         // one entry, same logic as "=="
                         expectedRows = Math.ceil(subindex.total / subindex.length);
                         matchedIndexCount = expectedRows;
                     } else {
-                        cost += log2Cost * (simpleLog2Cost(criterion.value.length) - 1); // adjust for the number of entries to match
+                        cost += log2Cost * (simpleLog2Cost(valueCount) - 1); // adjust for the number of entries to match
                         if (subindex.total > 0) {
-                            expectedRows = Math.min(subindex.total, (criterion.value.length * subindex.total) / subindex.length);
+                            expectedRows = Math.min(subindex.total, (valueCount * subindex.total) / subindex.length);
                         } else {
                             expectedRows = 0;
                         }
-                        matchedIndexCount = Math.min(criterion.value.length, subindex.length);
+                        matchedIndexCount = Math.min(valueCount, subindex.length);
+                    }
+                    break;
+                case "not in":
+                    var excludedCount = countValues(criterion);
+                    cost += log2Cost * (simpleLog2Cost(excludedCount) - 1); // adjust for the number of entries to match
+                    if (subindex.total > 0) {
+                        expectedRows = Math.max(0, subindex.total - (excludedCount * subindex.total) / subindex.length);
+                    } else {
+                        expectedRows = 0;
                     }
+                    matchedIndexCount = Math.max(0, subindex.length - excludedCount);
                     break;
             }
             cost += expectedRows;
             subindex = { length: Math.min(matchedIndexCount, expectedRows), total: expectedRows };
         }
-        criteriaUsed.push(criterion);
-        criteriaUnused = criteriaUnused.without(criterion);
+        criteriaUsed.push(used);
+        if (!needsFilter(used)) criteriaUnused = criteriaUnused.without(used);
     });
     cost += expectedRows * (calculateSingleRowCriteriaCost(criteriaUnused) + 1);
     /**
-     * Applies the criteria and generates the reduced set. This result
-     * still needs to have unused criteria applied to it.
+     * Applies the criteria to the index, without collecting any rows.
+     * @return {Array} the matched entries of the last index column used,
+     *     each having size and data properties.
      */
-    function reduce() {
+    function narrow() {
         self.active();
-        var data = newArray({data:self.index});
+        var data = newArray({data:self.index, size:self.index.total});
         function dataOf(ix) { return ix ? newArray(ix) : newArray(); }
-        criteriaUsed.each(function(criterion) {
+        criteriaUsed.each(function(criterion, depth) {
+            var column = self.columns[depth];
+            if (column.descending) criterion = mirrorCriterion(criterion);
+            var compareValues = DataTable.Comparator.pluck("value", null, column.compare);
             var found = newArray();
-            function appendToFound(indexEntry) { append(found, indexEntry); }
+            var missing = null;
+            function appendToFound(indexEntry) { if (indexEntry !== missing) append(found, indexEntry); }
             data.pluck("data").forEach(function(subindex) {
+                // the null entry is never matched by a comparison or a range, and always by "not between"
+                missing = ORDERED_OPERATORS[criterion.operator] || criterion.operator == "not between" ?
+                          nullEntryOf(subindex, column.descending) : null;
                 /**
                  * Looks up a single value in the current sub-index and update
                  * the matchIndex and foundExactMatch properties.
@@ -916,7 +3960,7 @@ DataTable.Index.prototype.computeCost = function(criteria) {
                         break;
                     case "!=":
                         entry = getIndexEntry(criterion.value, matchExact);
-                        if (!foundExactMatch) {
+                        if (foundExactMatch) {
                             subindex.slice(0, matchedIndex).forEach(appendToFound);
                             subindex.slice(matchedIndex + 1).forEach(appendToFound);
                         } else subindex.forEach(appendToFound);
@@ -942,23 +3986,104 @@ DataTable.Index.prototype.computeCost = function(criteria) {
                         subindex.slice(Math.max(matchedIndex + (foundExactMatch ? 1 : 0))).forEach(appendToFound);
                         break;
                     case "between":
+                    case "startswith":
+                    case "like":
+                        var range = criterionRange(criterion);
+                        entry = getIndexEntry(range.start, matchAfter);
+                        var begin = Math.max(0, matchedIndex + ((foundExactMatch && range.exclusiveStart) ? 1 : 0));
+                        entry = getIndexEntry(range.end, matchAfter);
+                        var end = matchedIndex + ((foundExactMatch && !range.exclusive) ? 1 : 0);
+                        subindex.slice(begin, end).forEach(appendToFound);
+                        break;
+                    case "not between":
                         entry = getIndexEntry(criterion.value.start, matchAfter);
-                        var begin = Math.max(0, matchedIndex);
+                        var before = Math.max(0, matchedIndex);
                         entry = getIndexEntry(criterion.value.end, matchAfter);
-                        var end = matchedIndex + ((foundExactMatch && !criterion.value.exclusive) ? 1 : 0);
-                        subindex.slice(begin, end).forEach(appendToFound);
+                        var after = matchedIndex + ((foundExactMatch && !criterion.value.exclusive) ? 1 : 0);
+                        if (missing && column.descending) found.push(missing);
+                        subindex.slice(0, before).forEach(appendToFound);
+                        subindex.slice(after).forEach(appendToFound);
+                        if (missing && !column.descending) found.push(missing);
                         break;
                     case "in":
-                        // todo: sort the values and compare against the index in order
-                        extend(criterion.value, ary).uniq().forEach(function(value) {
+                        // sorting the values keeps the reduced rows in index order
+                        distinctValues(criterionValues(criterion), column.compare).forEach(function(value) {
                             var entry = getIndexEntry(value, matchExact);
                             if (foundExactMatch) appendToFound(dataOf(entry));
                         });
                         break;
+                    case "isnull":
+                        entry = nullEntryOf(subindex, column.descending);
+                        if (entry) appendToFound(dataOf(entry));
+                        break;
+                    case "isnotnull":
+                        entry = nullEntryOf(subindex, column.descending);
+                        subindex.slice(entry && column.descending ? 1 : 0,
+                                       subindex.length - (entry && !column.descending ? 1 : 0)).forEach(appendToFound);
+                        break;
+                    case "not in":
+                        var excluded = {};
+                        criterionValues(criterion).uniq().forEach(function(value) {
+                            getIndexEntry(value, matchExact);
+                            if (foundExactMatch) excluded[matchedIndex] = true;
+                        });
+                        subindex.forEach(function(entry, i) { if (!excluded[i]) appendToFound(entry); });
+                        break;
                 }
             });
             data = found;
         });
+        return data;
+    }
+    /**
+     * Applies the criteria and generates the reduced set. This result
+     * still needs to have unused criteria applied to it.
+     * <p>
+     * When an offset or limit is passed, only that window of the reduced set
+     * is returned. Index entries before the offset are skipped by a binary
+     * search of their subtotals at each level, and no rows are collected
+     * after the limit is reached. This is only meaningful when there are no
+     * unused criteria.
+     * @param {Number} offset The number of reduced rows to skip (optional)
+     * @param {Number} limit The maximum number of rows to return (optional)
+     */
+    function reduce(offset, limit) {
+        var data = narrow();
+        if (offset || limit != null) {
+            var skip = offset || 0;
+            var take = limit == null ? Infinity : limit;
+            var rows = newArray();
+            // the matched entries may come from several parents, so their own subtotals do not add up
+            var running = 0;
+            var subtotals = data.collect(function(entry) { return running += entry.size; });
+            function matchedSubtotal(entries, i) { return subtotals[i]; }
+            function entrySubtotal(entries, i) { return entries[i].subtotal; }
+            /**
+             * Finds the first entry ending after the rows still to be skipped,
+             * and skips the rows of the entries before it.
+             */
+            function seek(entries, subtotalOf) {
+                var l = -1, r = entries.length, m;
+                while (r - l > 1) {
+                    if (subtotalOf(entries, m = r + l >> 1) <= skip) l = m; else r = m;
+                }
+                if (r > 0) skip -= subtotalOf(entries, r - 1);
+                return r;
+            }
+            (function walk(entries, subtotalOf, depth) {
+                var i = depth == 0 ? skip : skip > 0 ? seek(entries, subtotalOf) : 0;
+                if (depth == 0) skip = 0;
+                for (; i < entries.length && take > 0; i++) {
+                    if (depth == 0) {
+                        rows.push(entries[i]);
+                        take--;
+                    } else {
+                        walk(entries[i].data, entrySubtotal, depth - 1);
+                    }
+                }
+            })(data, matchedSubtotal, self.columns.length - criteriaUsed.length + 1);
+            return rows;
+        }
         for (var i = criteriaUsed.length; i <= self.columns.length; i++) {
             data = extend(data.inject([], function(buffer, d) {
                 return buffer.concat(d.data);
@@ -966,14 +4091,92 @@ DataTable.Index.prototype.computeCost = function(criteria) {
         }
         return data;
     }
+    /**
+     * Lists the index entries of a column in the reduced set, without
+     * collecting any rows.
+     * @param {Number} depth The number of index columns to descend; the
+     *     entries returned are for column depth - 1. Must not be less than
+     *     the number of criteria used.
+     */
+    function entries(depth) {
+        var data = narrow();
+        for (var i = criteriaUsed.length; i < depth; i++) {
+            data = extend(data.inject([], function(buffer, d) {
+                return buffer.concat(d.data);
+            }), ary);
+        }
+        return data;
+    }
+    /**
+     * Counts the rows in the reduced set using the sizes of the matched
+     * index entries. No rows are visited.
+     */
+    function count() {
+        return narrow().inject(0, function(count, entry) { return count + entry.size; });
+    }
+    /**
+     * Visits the rows of the reduced set in index order, without collecting
+     * them. The visitor may throw _$break to stop early.
+     * @param {Function} visitor Called with each row
+     * @param {Boolean} reverse true to visit the rows in reverse order
+     */
+    function scan(visitor, reverse) {
+        try {
+            (function visit(entries, depth) {
+                for (var i = 0, j = entries.length; i < j; i++) {
+                    var entry = entries[reverse ? j - i - 1 : i];
+                    if (depth == 0) visitor(entry); else visit(entry.data, depth - 1);
+                }
+            })(narrow(), self.columns.length - criteriaUsed.length + 1);
+        } catch (e) {
+            if (e != _$break) throw e;
+        }
+    }
     return {
         cost: cost,
+        expectedRows: expectedRows,
+        criteriaUsed: criteriaUsed,
         criteriaUnused: criteriaUnused,
         reduce: reduce,
+        count: count,
+        scan: scan,
+        entries: entries,
+        index: self,
         indexSignature: self.signature
     };
 };
 
+/**
+ * Determines if rows reduced by this index will already be in a requested
+ * order. Index columns restricted to a single value by the criteria used
+ * do not affect the order, and may be skipped.
+ * @param {Array} order A list of ordering keys, each having a columnName and
+ *     a descending property.
+ * @param {Array} criteriaUsed The criteria applied by the index, from
+ *     computeCost().
+ * @return 1 if the rows are in the requested order, -1 if they are in the
+ *     reverse order, or 0 if they will need to be sorted.
+ */
+DataTable.Index.prototype.getOrdering = function(order, criteriaUsed) {
+    this.active();
+    var columns = this.columns;
+    var ordering = 0;
+    function isSingleValue(column) {
+        return criteriaUsed.find(function(c) {
+            return c.columnName == column.name &&
+                   (c.operator == "==" || c.operator == "isnull" || (c.operator == "in" && c.value.length == 1));
+        });
+    }
+    for (var i = 0, k = 0; k < order.length; ++i, ++k) {
+        while (i < columns.length && columns[i].name != order[k].columnName && isSingleValue(columns[i])) ++i;
+        if (i >= columns.length || columns[i].name != order[k].columnName) return 0;
+        var direction = (order[k].descending ? -1 : 1) * (columns[i].descending ? -1 : 1);
+        if (ordering && ordering != direction) return 0;
+        ordering = direction;
+    }
+    return ordering;
+};
+
 /**
  * @param {Array} index The index to search
  * @param {Object} value The value to search for
@@ -1003,20 +4206,22 @@ DataTable.Index.prototype.buildIndex = function(rows) {
      * @param {Array} rows The rows to index. This array is sorted in
      *     place.
      * @param {String} columnName The property to index on each row
-     * @param {Function} comparator The function to use when comparing
+     * @param {Function} comparator The function to use when comparing rows
+     * @param {Function} compare The function to use when comparing values;
+     *     values it considers equal share an entry
      */
-    function buildShallowIndex(rows, columnName, comparator) {
+    function buildShallowIndex(rows, columnName, comparator, compare) {
         rows.sort(comparator);
         var index = newArray();
         var lastEntry = { value: {}, subtotal: 0 };
         rows.each(function(r) {
-            if (r[columnName] === lastEntry.value) {
+            if (index.length > 0 && compare(r[columnName], lastEntry.value) == 0) {
                 lastEntry.data.push(r);
                 lastEntry.size++;
                 lastEntry.subtotal++;
             } else {
                 lastEntry = {
-                    value: r[columnName],
+                    value: r[columnName] == null ? null : r[columnName], // undefined is indexed as null
                     data: newArray(r),
                     size: 1,
                     subtotal: lastEntry.subtotal + 1
@@ -1033,10 +4238,10 @@ DataTable.Index.prototype.buildIndex = function(rows) {
      * value.
      * @param {Array} rows The data to index
      * @param {Array} columns An array of column objects, each containing a
-     *     name property and a comparator function.
+     *     name property, and comparator and compare functions.
      */
     function buildIndex(rows, columns) {
-        var index = buildShallowIndex(extend(rows.concat(), ary), columns[0].name, columns[0].comparator);
+        var index = buildShallowIndex(extend(rows.concat(), ary), columns[0].name, columns[0].comparator, columns[0].compare);
         if (columns.length > 1) {
             var remainingColumns = columns.slice(1);
             for (var i = 0; i < index.length; i++) index[i].data = buildIndex(index[i].data, remainingColumns);
@@ -1058,13 +4263,14 @@ DataTable.Index.prototype.buildIndex = function(rows) {
  * @param {Function} callbacks.mergeLeftAndRightEntries(leftEntry, rightEntry)
  *     Invoked when an index value is found on both indexes. Only called
  *     for merging row data.
- * @param {Function} callbacks.mergeTotals(leftIndex, rightIndex)
+ * @param {Function} callbacks.mergeTotals(leftIndex, rightIndex, isRowData, column)
  *     Invoked when an index value is found on both indexes. Only called
  *     for merging sub-index data, after the sub-index has been merged
  *     recursively.
  */
 DataTable.Index.prototype.mergeIndex = function(leftIndex, rightIndex, callbacks) {
     this.active();
+    var columns = this.columns;
     /**
      * Walks both indexes side-by-side comparing values and calling the
      * appropriate callbacks to update the data.
@@ -1079,7 +4285,7 @@ DataTable.Index.prototype.mergeIndex = function(leftIndex, rightIndex, callbacks
      *     return a value to be inserted on the left side.
      * @param {Function} callbacks.mergeLeftAndRightEntries(leftEntry, rightEntry, isRowData)
      *     Invoked when an index value is found on both indexes.
-     * @param {Function} callbacks.mergeTotals(leftIndex, rightIndex)
+     * @param {Function} callbacks.mergeTotals(leftIndex, rightIndex, isRowData, column)
      *     Invoked when an index value is found on both indexes. Only called
      *     for merging sub-index data, after the sub-index has been merged
      *     recursively.
@@ -1087,6 +4293,7 @@ DataTable.Index.prototype.mergeIndex = function(leftIndex, rightIndex, callbacks
      *     row data is found.
      */
     function mergeIndex(left, right, callbacks, depth) {
+        var column = columns[columns.length - depth];
         var maxLeft = left.length;
         var maxRight = right.length;
         /**
@@ -1131,11 +4338,12 @@ DataTable.Index.prototype.mergeIndex = function(leftIndex, rightIndex, callbacks
             var leftEntry = left[l];
             var rightEntry = right[r];
             var bothInBounds = l < maxLeft && r < maxRight;
-            if (bothInBounds && leftEntry.value == rightEntry.value) mergeLeftAndRightEntries();
-            else if (bothInBounds ? leftEntry.value < rightEntry.value : l < maxLeft) processLeftSideEntry();
+            var order = bothInBounds ? column.compare(leftEntry.value, rightEntry.value) : 0;
+            if (bothInBounds && order == 0) mergeLeftAndRightEntries();
+            else if (bothInBounds ? order < 0 : l < maxLeft) processLeftSideEntry();
             else processRightSideEntry();
         }
-        callbacks.mergeTotals(left, right, depth <= 1);
+        callbacks.mergeTotals(left, right, depth <= 1, column);
     }
     mergeIndex(leftIndex, rightIndex, callbacks, this.columns.length);
 };
@@ -1146,7 +4354,6 @@ DataTable.Index.prototype.mergeIndex = function(leftIndex, rightIndex, callbacks
  */
 DataTable.Index.prototype.rowsAdded = function(rows) {
     this.active();
-    var subIndexComparator = DataTable.Comparator.pluck("value");
     var rowDataComparator = DataTable.Comparator.pluck(this.columns.last().comparator);
     this.mergeIndex(this.index, this.buildIndex(rows), {
         /**
@@ -1191,10 +4398,11 @@ DataTable.Index.prototype.rowsAdded = function(rows) {
          * @param leftIndex
          * @param rightIndex
          * @param isRowData
+         * @param column The index column of the entries
          */
-        mergeTotals: function(leftIndex, rightIndex, isRowData) {
+        mergeTotals: function(leftIndex, rightIndex, isRowData, column) {
             leftIndex.total += rightIndex.total;
-            leftIndex.sort(subIndexComparator);
+            leftIndex.sort(DataTable.Comparator.pluck("value", "value", column.compare));
         }
     });
 };
@@ -1281,10 +4489,10 @@ DataTable.Index.prototype.validateIndex = function(index) {
             if (ix.data.length > ix.size) {
                 throw new Error("Index entry with more data than the recorded size at " + localPath() + "; size " + ix.size + ", data.length " + ix.data.length);
             }
-            if (i > 0 && ix.value == lastValue) {
+            if (i > 0 && columns[0].compare(ix.value, lastValue) == 0) {
                 throw new Error("Index entry was duplicated at " + localPath() + "; duplicated " + toJSON(ix.value));
             }
-            if (i > 0 && ix.value < lastValue) {
+            if (i > 0 && columns[0].compare(ix.value, lastValue) < 0) {
                 throw new Error("Index entry was out of order at " + localPath() + "; found " + toJSON(ix.value) + " after " + toJSON(lastValue));
             }
             if (subtotal != ix.subtotal) {
@@ -1547,7 +4755,7 @@ DataTable.Range = function(begin, end) {
     this.uniq = function() { return this };
     this.last = function() { return end - 1; };
     this.toString = function() { return "[" + begin + ".." + end + "]" };
-    this.toJSON = function() { return "{\"start\": " + begin + ", \"end\": " + end + "}" };
+    this.toJSON = function() { return "{\"start\": " + toJSON(begin) + ", \"end\": " + toJSON(end) + "}" };
     this.__defineGetter__("length", function() { return end - begin + 1; });
     this.start = begin;
     this.end = end;